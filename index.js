@@ -1,563 +1,1897 @@
 // Create constants to grab elements from index
 window.addEventListener('DOMContentLoaded', () => {
     const canvas = document.getElementById("capy-game");
-    
-    const audioObj = {
-        start: document.getElementById("start-audio"),
-        gameplay: document.getElementById("gameplay-music"),
-        dead: document.getElementById("dead")
+
+    // Every image and sound starts loading straight away, while the game shows its progress
+    const assets = new AssetManager();
+    assets.load();
+
+    const replayControls = {
+        exportLast: document.getElementById("export-replay"),
+        watchBest: document.getElementById("watch-best-replay"),
+        raceBest: document.getElementById("race-best-replay"),
+        importReplay: document.getElementById("import-replay"),
+        replayFile: document.getElementById("replay-file"),
+        showGhost: document.getElementById("show-ghost")
     };
-    
-    new FlappyCapy(canvas, audioObj);
+
+    // A seed can be shared as ?seed=<value> so that every run plays the same course
+    const seed = new URLSearchParams(window.location.search).get("seed");
+
+    const game = new FlappyCapy(canvas, assets, seed);
+    game.registerReplayControls(replayControls);
+    document.getElementById("fullscreen").addEventListener("click", () => {
+        game.viewport.toggleFullscreen();
+    });
+    registerBindingControls(document.getElementById("key-bindings"), game.input);
+    registerAudioControls({
+        mute: document.getElementById("mute"),
+        music: document.getElementById("music-volume"),
+        sfx: document.getElementById("sfx-volume")
+    }, game.audio);
+    game.registerThemeControls(document.getElementById("theme"));
+    game.registerAccessibility({
+        reducedMotion: document.getElementById("reduced-motion"),
+        highContrast: document.getElementById("high-contrast"),
+        palette: document.getElementById("palette"),
+        gameSpeed: document.getElementById("game-speed"),
+        widerGaps: document.getElementById("wider-gaps")
+    }, document.getElementById("announcer"));
+    game.registerHitboxControls({
+        capy: document.getElementById("capy-hitbox"),
+        pipe: document.getElementById("pipe-hitbox"),
+        show: document.getElementById("show-hitboxes")
+    });
+
+    // Courses made in the editor are played in the game, scrolled into view
+    new CourseEditor(document.getElementById("course-editor"), {
+        name: document.getElementById("course-name"),
+        type: document.getElementById("course-obstacle-type"),
+        pickup: document.getElementById("course-pickup"),
+        gapSize: document.getElementById("course-gap-size"),
+        checkpoint: document.getElementById("course-checkpoint"),
+        scroll: document.getElementById("course-scroll"),
+        remove: document.getElementById("course-delete"),
+        play: document.getElementById("course-play"),
+        test: document.getElementById("course-test"),
+        importCourse: document.getElementById("course-import"),
+        courseFile: document.getElementById("course-file"),
+        exportCourse: document.getElementById("course-export"),
+        newCourse: document.getElementById("course-new")
+    }, (course, startAt) => {
+        game.playCourse(course, startAt);
+        canvas.scrollIntoView({ behavior: "smooth", block: "center" });
+    });
+
+    new StatsDashboard(document.getElementById("stats"), {
+        totals: document.getElementById("stats-totals"),
+        exportCSV: document.getElementById("export-stats-csv"),
+        exportJSON: document.getElementById("export-stats-json")
+    }, game.history);
 });
 
 //---------------------------------------------------------------------//
 
-// A hash of level constants that can be changed to adjust game difficulty
-const CONSTANTS = {
-    HORIZONTAL_PIPE_SPACING: 220, // Space between pipes on x axis
-    PIPE_GAP: 150,                // Space between top and bottom pipes, was 150
-    WARMUP_SECONDS: 1,            // Time between first click and first pipe appearing
-    EDGE_BUFFER: 50,              // Distance between the level bounds and gap extremes
-    PIPE_WIDTH: 50,               // Width of the pipe hitbox
-    PIPE_SPEED: 2,                // Frequency of pipe spawn
-    PIPE_IMAGE_HEIGHT: 640,        // Vertical dimension of image source
-    BACKGROUND_SPEED: 1
-};
-
-class Level {
+/*
+Everything below draws and plays the game in the browser. The game itself
+(Level, Capy, GameCore) lives in scripts/core.js, and only knows about numbers.
+*/
+class LevelRenderer {
     /*
-    Constructor function that sets the dimensions of the Level instance, and
-    handles the pipe logic. Pipe spawns will be kept track of in an array (ideally
-    a queue, but JS does not have a queue object natively), where the first pipe
-    will be added after the warmup time passes, and subsequent pipes are added 
-    at a fixed horizontal distance away, as defined by constants hash
+    Constructor function that sets up the layered background for a level, drawn
+    in one of the THEMES (see scripts/themes.js). The background scrolls on its
+    own, whether or not a run has started.
+    Everything is drawn from the ThemeArt, which is shared between levels so
+    that nothing is drawn twice. With reduced motion on (see AccessibilitySettings)
+    the background holds still, and with high contrast on the pipes are drawn
+    as plain blocks in the palette's colour.
     */
-    constructor(dimensions) {
+    constructor(dimensions, art, theme, accessibility) {
         this.dimensions = dimensions;
+        this.art = art;
+        this.accessibility = accessibility;
+        this.theme = THEMES[theme];
+        this.fadingTheme = null;    // The theme being faded out after a change, drawn behind the new one
+        this.fadeTicks = 0;
+        this.layerPositions = new Map(); // Left edge of each layer's first tile, from 0 back to minus its width
 
-        const firstPipeDistance = this.dimensions.width + (CONSTANTS.WARMUP_SECONDS * 60 * CONSTANTS.PIPE_SPEED);
-
-        this.pipes = [
-            this.randomPipe(firstPipeDistance),
-            this.randomPipe(firstPipeDistance + CONSTANTS.HORIZONTAL_PIPE_SPACING),
-            this.randomPipe(firstPipeDistance + (2 * CONSTANTS.HORIZONTAL_PIPE_SPACING))
-        ];
+        // Whether the layers moved during the last tick, used to interpolate drawing between ticks
+        this.moved = false;
+    }
 
-        let backgroundFirst = this.makeBackground();
-        this.backgroundQueue = [backgroundFirst];
-        this.appendBackground = true;
+    /*
+    Changes to another theme, fading the old one out over FADE_TICKS rather than
+    switching in a single frame.
+    */
+    setTheme(theme) {
+        if (THEMES[theme] === this.theme) {
+            return;
+        }
+        this.fadingTheme = this.theme;
+        this.fadeTicks = 0;
+        this.theme = THEMES[theme];
     }
 
-    makeBackground() {
-        const background = {
-            image: new Image(),
-            pos: (480 - 1920)
-        };
-        if (this.appendBackground) {
-            background.pos = 480;
-            this.appendBackground = false;
+    // Scrolls every layer at its own speed, wrapping around once a whole tile has gone past
+    moveLayers() {
+        const themes = this.fadingTheme ? [this.fadingTheme, this.theme] : [this.theme];
+        const still = this.accessibility.reducedMotion();
+        themes.forEach((theme) => {
+            theme.layers.forEach((layer) => {
+                const tile = this.art.layerTile(layer);
+                if (!layer.speed || !tile || still) {
+                    return;
+                }
+                let pos = (this.layerPositions.get(layer) || 0) - layer.speed;
+                if (pos <= -tile.width) {
+                    pos += tile.width;
+                }
+                this.layerPositions.set(layer, pos);
+            });
+        });
+        this.moved = !still;
+
+        if (this.fadingTheme && ++this.fadeTicks >= THEME.FADE_TICKS) {
+            this.fadingTheme = null;
         }
-        background.image.src = 'assets/images/background-sky-and-grass.png';
-        return background;
     }
 
     /*
-    #animate that takes in context given by the game, and proceeds
-    to draw the background and pipes element onto the canvas.
-    #movePipes is called before it is drawn in order for the visible 
-    pipes to more accurately reflect the current location, e.g. if #movePipes
-    is called after #drawPipes, the visible pipes will actually represent the
-    previous position of the pipes in the last event loop cycle (1 frame ago).
+    Draws the background layers (or with front set, the layers in front of the
+    pipes and capy), interpolated between ticks the same way as #drawPipes.
+    While the theme is changing, the new theme is drawn over the old one,
+    fading in.
     */
-    animate(ctx) {
-        // this.drawBackground(ctx);
-        // this.animateBackground(ctx);
-        this.movePipes();
-        this.drawPipes(ctx);
+    drawLayers(ctx, alpha = 1, front = false) {
+        if (this.fadingTheme) {
+            this.drawThemeLayers(ctx, this.fadingTheme, alpha, front);
+            ctx.save();
+            ctx.globalAlpha = this.fadeTicks / THEME.FADE_TICKS;
+            this.drawThemeLayers(ctx, this.theme, alpha, front);
+            ctx.restore();
+        } else {
+            this.drawThemeLayers(ctx, this.theme, alpha, front);
+        }
     }
 
-    animateBackground(ctx) {
-        this.moveAnimatedBackground();
-        this.drawAnimatedBackground(ctx);
+    drawThemeLayers(ctx, theme, alpha, front) {
+        theme.layers.forEach((layer) => {
+            if (Boolean(layer.front) !== front) {
+                return;
+            }
+            if (layer.type === "sky") {
+                this.drawSky(ctx, layer);
+                return;
+            }
+            const tile = this.art.layerTile(layer);
+            if (!tile) {
+                return;
+            }
+            const shift = this.moved ? layer.speed * (1 - alpha) : 0;
+            let x = (this.layerPositions.get(layer) || 0) + shift;
+            if (x > 0) {
+                x -= tile.width;
+            }
+            for (; x < this.dimensions.width; x += tile.width) {
+                ctx.drawImage(tile, x, 0);
+            }
+        });
     }
 
     /*
-    Pipes are drawn onto the canvas with #fillRect and colored with #fillStyle,
-    which will be replaced by actual images at a later time, using #drawImage or 
-    whatever the method is called, positioned for each pipe.
+    The sky is drawn onto the context with a color (or a gradient of them),
+    and fills up the entire level.
     */
-    drawPipes(ctx) {
-        this.eachPipe(function (pipe) {
-            let pipeOffsetTop = pipe.topPipe.bottom - pipe.topPipe.top;
-            let pipeOffsetBottom = pipe.bottomPipe.bottom - pipe.bottomPipe.top;
+    drawSky(ctx, layer) {
+        if (layer.colors.length === 1) {
+            ctx.fillStyle = layer.colors[0];
+        } else {
+            const gradient = ctx.createLinearGradient(0, 0, 0, this.dimensions.height);
+            layer.colors.forEach((color, i) => {
+                gradient.addColorStop(i / (layer.colors.length - 1), color);
+            });
+            ctx.fillStyle = gradient;
+        }
+        ctx.fillRect(0, 0, this.dimensions.width, this.dimensions.height);
+    }
 
-            let topPipeRender = new Image();
-            topPipeRender.src = 'assets/images/top-pipe.png';
-            ctx.drawImage(topPipeRender, pipe.topPipe.left, pipeOffsetTop - CONSTANTS.PIPE_IMAGE_HEIGHT);
+    /*
+    Pipes are drawn onto the canvas with #drawImage, positioned for each pipe.
+    Since the game only moves the pipes once per tick, alpha (0 to 1) is how far
+    the current frame is between the previous tick and the current one, and the
+    pipes are drawn that fraction of the way along their last move. This keeps
+    the movement smooth on monitors that refresh faster than the tick rate.
+    Every obstacle is drawn one solid piece at a time (see Level#pieces), in the
+    theme's pipe skin. If a pipe image couldn't be loaded, plain pipes are drawn
+    in its place so the game can still be played, and with high contrast on
+    every piece is a plain block with a thick outline.
+    */
+    drawPipes(ctx, level, alpha = 1) {
+        const offset = level.lastPipeShift * (1 - alpha);
+        const topPipeRender = this.art.pipeImage("topPipe", this.theme);
+        const bottomPipeRender = this.art.pipeImage("bottomPipe", this.theme);
+        const highContrast = this.accessibility.settings.highContrast;
+        ctx.save();
+        ctx.fillStyle = highContrast ? this.accessibility.palette().contrastPipe : this.theme.pipes.color;
+        ctx.strokeStyle = "black";
+        ctx.lineWidth = 4;
+        level.eachPipe(function (pipe) {
+            level.pieces(pipe).forEach((piece) => {
+                const left = piece.left + offset;
+                const width = piece.right - piece.left;
+                const height = piece.bottom - piece.top;
+                if (highContrast) {
+                    ctx.fillRect(left, piece.top, width, height);
+                    ctx.strokeRect(left, piece.top, width, height);
+                } else if (!topPipeRender || !bottomPipeRender) {
+                    ctx.fillRect(left, piece.top, width, height);
+                } else if (piece.capTop && piece.capBottom) {
+                    /*
+                    A piece with a gap either side, like a floating block, is the
+                    lip end of the bottom pipe image on top of the lip end of the
+                    top pipe image.
+                    */
+                    const half = Math.min(height / 2, bottomPipeRender.height);
+                    ctx.drawImage(bottomPipeRender, 0, 0, bottomPipeRender.width, half,
+                        left, piece.top, width, half);
+                    ctx.drawImage(topPipeRender, 0, topPipeRender.height - half, topPipeRender.width, half,
+                        left, piece.bottom - half, width, half);
+                } else if (piece.capBottom) {
+                    // Each pipe image is lined up with its end at the gap, which is also how "mask" hitboxes line up with it
+                    ctx.drawImage(topPipeRender, left, piece.bottom - topPipeRender.height, width, topPipeRender.height);
+                } else {
+                    ctx.drawImage(bottomPipeRender, left, piece.top, width, bottomPipeRender.height);
+                }
+            });
+        });
+        ctx.restore();
+    }
 
-            let bottomPipeRender = new Image();
-            bottomPipeRender.src = 'assets/images/bottom-pipe.png';
-            ctx.drawImage(bottomPipeRender, pipe.bottomPipe.left, CONSTANTS.PIPE_IMAGE_HEIGHT - pipeOffsetBottom);
+    // Marks the checkpoints of a course not yet passed with a dashed line through their gaps
+    drawCheckpoints(ctx, level, alpha = 1) {
+        const offset = level.lastPipeShift * (1 - alpha);
+        ctx.save();
+        ctx.strokeStyle = "white";
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 10]);
+        level.eachPipe((pipe) => {
+            if (pipe.checkpoint && !pipe.passed) {
+                const route = pipe.gaps[pipe.route];
+                const x = ((pipe.left + pipe.right) / 2) + offset;
+                ctx.beginPath();
+                ctx.moveTo(x, route.top);
+                ctx.lineTo(x, route.bottom);
+                ctx.stroke();
+            }
         });
+        ctx.restore();
+    }
+
+    // Draws the pickups waiting in the gaps, moving along with their pipes
+    drawPickups(ctx, level, alpha = 1) {
+        const offset = level.lastPipeShift * (1 - alpha);
+        level.eachPipe((pipe) => {
+            if (pipe.pickup && !pipe.pickup.taken) {
+                const position = level.pickupPosition(pipe);
+                drawPickupIcon(ctx, pipe.pickup.type, position.x + offset, position.y, PICKUP.SIZE / 2,
+                    this.accessibility.pickupColor(pipe.pickup.type));
+            }
+        });
+    }
+}
+
+/*
+Draws a pickup as a circle of its colour (or another, e.g. from a palette)
+with its label on it, centred on (x, y). The same icon shows the pickup's
+effect on the HUD.
+*/
+function drawPickupIcon(ctx, type, x, y, radius, color = PICKUPS[type].color) {
+    const pickup = PICKUPS[type];
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = "white";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "white";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `bold ${Math.round(radius * 1.2)}px sans-serif`;
+    ctx.fillText(pickup.label, x, y + 1);
+    ctx.restore();
+}
+
+//---------------------------------------------------------------------//
+
+// A hash of constants for animating the capy's sprite
+const CAPY_ANIMATION = {
+    MAX_TILT_UP: -0.4,      // Angle (radians, clockwise) of the capy's nose at the start of a flap
+    MAX_TILT_DOWN: 1.2,     // Angle of the nose when diving at terminal velocity
+    SQUASH_TICKS: 12,       // Length of the squash and stretch after a flap
+    SQUASH_AMOUNT: 0.3,     // How far the sprite squashes and stretches, as a fraction of its size
+    TUMBLE_BOUNCE: -6,      // Velocity the capy is knocked up at when it dies
+    TUMBLE_GRAVITY: 0.5,
+    TUMBLE_SPIN: 0.3        // Radians the capy turns each tick while tumbling
+};
+
+class CapyRenderer {
+    /*
+    Constructor function that draws the capy sprites from the AssetManager.
+    Sprites of characters with a tint are tinted the first time they're drawn,
+    and kept for every frame after. The AccessibilitySettings decide whether
+    the capy squashes as it flaps (not with reduced motion), and whether it's
+    outlined (with high contrast).
+    */
+    constructor(assets, accessibility) {
+        this.assets = assets;
+        this.accessibility = accessibility;
+        this.tinted = {};
+    }
+
+    // Returns one of a character's sprites, or null if it couldn't be loaded
+    sprite(character, name) {
+        const image = this.assets.image(name);
+        if (!image || !character.tint) {
+            return image;
+        }
+        const key = `${name}:${character.tint}`;
+        if (!this.tinted[key]) {
+            this.tinted[key] = tintedImage(image, character.tint);
+        }
+        return this.tinted[key];
     }
 
     /*
-    Logic that moves each pipe across the screen. Pipe speed is determined by the
-    constants hash defined earlier, and will be placed in a callback called by #eachPipe.
-    #eachPipe is necessary to properly retain 'this' when iterating through the pipes
-    as it will be used for various functions.
+    Capy is represented as a capysprite, showing the capy's current wing frame
+    as its character (see CHARACTERS), in the pose given (see #pose).
+    The sprite is turned and scaled around its centre, so that it stays where
+    its hitbox is. A sprite that couldn't be loaded is drawn as a plain brown box.
     */
-    movePipes() {
-        this.eachPipe(function (pipe) {
-            pipe.topPipe.left -= CONSTANTS.PIPE_SPEED;
-            pipe.topPipe.right -= CONSTANTS.PIPE_SPEED;
-            pipe.bottomPipe.left -= CONSTANTS.PIPE_SPEED;
-            pipe.bottomPipe.right -= CONSTANTS.PIPE_SPEED;
+    drawCapy(ctx, capy, alpha = 1, pose = this.pose(capy, alpha)) {
+        const sprite = this.sprite(capy.character, capy.sprite());
+        const width = sprite ? sprite.width : CONST.CAPY_WIDTH;
+        const height = sprite ? sprite.height : CONST.CAPY_HEIGHT;
+        ctx.save();
+        ctx.translate(capy.x + (width / 2), pose.y + (height / 2));
+        ctx.rotate(pose.angle);
+        ctx.scale(pose.scaleX, pose.scaleY);
+        if (this.accessibility.settings.highContrast) {
+            ctx.fillStyle = this.accessibility.palette().contrastCapy;
+            ctx.strokeStyle = "black";
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.ellipse(0, 0, (width / 2) + 4, (height / 2) + 4, 0, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        }
+        if (sprite) {
+            ctx.drawImage(sprite, -width / 2, -height / 2);
+        } else {
+            ctx.fillStyle = "saddlebrown";
+            ctx.fillRect(-width / 2, -height / 2, width, height);
+        }
+        ctx.restore();
+    }
+
+    /*
+    Where and how the capy is drawn, with alpha being how far the current frame
+    is between the previous and current tick: its height between the two, its
+    tilt and how squashed or stretched it is. The capy tilts nose up as it
+    flaps, levels out at the top, and dives further the faster it falls. Each
+    flap squashes the sprite, then stretches it as it springs up.
+    */
+    pose(capy, alpha = 1) {
+        const vel = capy.vel;
+        let angle;
+        if (vel < 0) {
+            angle = CAPY_ANIMATION.MAX_TILT_UP * Math.min(vel / -capy.physics.FLAP_SPEED, 1);
+        } else {
+            angle = CAPY_ANIMATION.MAX_TILT_DOWN * Math.pow(Math.min(vel / capy.physics.TERMINAL_VEL, 1), 2);
+        }
+
+        let stretch = 0;
+        if (capy.ticksSinceFlap !== null && !this.accessibility.reducedMotion()) {
+            const progress = Math.max(capy.ticksSinceFlap - 1 + alpha, 0) / CAPY_ANIMATION.SQUASH_TICKS;
+            if (progress < 1) {
+                stretch = -Math.sin(progress * 2 * Math.PI) * (1 - progress) * CAPY_ANIMATION.SQUASH_AMOUNT;
+            }
+        }
+        return {
+            y: capy.prevY + (capy.y - capy.prevY) * alpha,
+            angle,
+            scaleX: capy.scale * (1 - (stretch / 2)),
+            scaleY: capy.scale * (1 + stretch)
+        };
+    }
+}
+
+// Alpha value (0 - 255) above which a pixel of a sprite counts as solid in its mask
+const MASK_ALPHA_THRESHOLD = 128;
+
+/*
+Makes a "mask" Hitbox from an image's alpha channel, by drawing it onto a
+canvas of its own and reading the pixels back. The mask's top left corner is
+at (0, 0), to be moved to wherever the image is drawn.
+Browsers refuse to read back images loaded from file:// pages, in which case
+there's no mask, and the game falls back to the shaped hitboxes.
+*/
+function alphaMask(image) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0);
+    let pixels;
+    try {
+        pixels = ctx.getImageData(0, 0, image.width, image.height).data;
+    } catch (e) {
+        return null;
+    }
+    const data = new Array(image.width * image.height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = pixels[(i * 4) + 3] >= MASK_ALPHA_THRESHOLD ? 1 : 0;
+    }
+    return Hitbox.mask(0, 0, image.width, image.height, data);
+}
+
+/*
+Outlines a hitbox for the debug overlay. Masks are drawn a row at a time, as
+one rectangle per run of solid pixels, rather than pixel by pixel.
+*/
+function drawHitbox(ctx, shape) {
+    switch (shape.type) {
+        case "ellipse":
+            ctx.beginPath();
+            ctx.ellipse(shape.cx, shape.cy, shape.rx, shape.ry, 0, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+            break;
+        case "polygon":
+            ctx.beginPath();
+            shape.points.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+            break;
+        case "mask":
+            for (let row = 0; row < shape.height; row++) {
+                let runStart = -1;
+                for (let column = 0; column <= shape.width; column++) {
+                    const solid = column < shape.width && shape.data[(row * shape.width) + column];
+                    if (solid && runStart === -1) {
+                        runStart = column;
+                    } else if (!solid && runStart !== -1) {
+                        ctx.fillRect(shape.left + runStart, shape.top + row, column - runStart, 1);
+                        runStart = -1;
+                    }
+                }
+            }
+            break;
+        case "group":
+            shape.shapes.forEach((member) => drawHitbox(ctx, member));
+            break;
+        default:
+            ctx.fillRect(shape.left, shape.top, shape.right - shape.left, shape.bottom - shape.top);
+            ctx.strokeRect(shape.left, shape.top, shape.right - shape.left, shape.bottom - shape.top);
+    }
+}
+
+//---------------------------------------------------------------------//
+
+// The states the game moves between, see FlappyCapy#setState
+const STATES = {
+    LOADING: "loading",     // Loading the assets, before the title screen
+    TITLE: "title",         // Title screen, before any run
+    READY: "ready",         // A run is set up, waiting for the first flap
+    PLAYING: "playing",
+    PAUSED: "paused",
+    DYING: "dying",         // The capy has hit something, before the game over screen
+    GAME_OVER: "gameOver"
+};
+
+// A hash of constants for the screens shown between runs
+const SCREENS = {
+    DYING_TICKS: 70,        // Length of the capy's tumble after a death
+    FLASH_TICKS: 10,        // Length of the white flash when the capy is hit
+    SHAKE_TICKS: 20,        // Length of the screen shake when the capy is hit
+    SHAKE_AMOUNT: 8,        // Furthest the screen is shaken, in pixels, fading out over SHAKE_TICKS
+    GAME_OVER_DELAY: 30,    // Ticks before a click on the game over screen restarts, so a late flap doesn't skip it
+    DEMO_DELAY: 600,        // Ticks the title screen is left alone before the demo starts
+    DEMO_TICKS: 3600        // Longest the demo runs for before going back to the title screen
+};
+
+class FlappyCapy {
+    /* 
+    Constructor function that will start a 2d drawing context,
+    instantiate dimensions of the canvas context,
+    start listening for input (see scripts/input.js),
+    and start the game loop, showing the loading progress of the assets
+    (see scripts/assets.js) until the title screen can be shown.
+    If a seed is given (e.g. from the URL) every run will use it, otherwise
+    each run is given a new random seed.
+    Finished runs are kept as replays, and the best run on the current seed is
+    raced as a ghost unless it's turned off. Scores good enough for the
+    leaderboard are given a name on the game over screen.
+    The game mode (see GAME_MODES) is chosen on the title screen, and each mode
+    has its own leaderboard and best runs. The character (see CHARACTERS) is
+    chosen from the title screen too, out of the ones that have been unlocked.
+    A Course (e.g. from the editor) can be played in place of the seed's
+    random pipes, until going back to the title screen.
+    Left alone on the title screen, the game plays a demo run by itself, flown
+    by the autopilot (see HeuristicPolicy).
+    */
+    constructor(canvas, assets, seed) {
+        this.ctx = canvas.getContext("2d");
+        // The game is laid out at its logical resolution, and the viewport scales it to the canvas
+        this.dimensions = { width: CONSTANTS.WIDTH, height: CONSTANTS.HEIGHT };
+        this.viewport = new Viewport(canvas, this.dimensions);
+        this.assets = assets;
+        this.audio = new AudioManager(assets, ["start", "gameplay"]);
+        this.fixedSeed = seed;
+        this.replays = new ReplayStore();
+        this.lastReplay = null;
+        this.history = new RunHistory();  // Every run played, for the statistics
+        this.showGhost = true;
+        this.mode = DEFAULT_MODE;
+        this.leaderboard = new Leaderboard(undefined, undefined, this.mode);
+        this.nameEntry = null;          // The name being typed in, while entering a high score
+        this.lastName = "";             // Remembered so the next high score starts with it
+        this.showingLeaderboard = false;
+        this.highlightRank = -1;        // Position of the newest high score on the leaderboard
+        this.hitboxTypes = { capy: CONST.HITBOX, pipe: CONSTANTS.PIPE_HITBOX };
+        this.showHitboxes = false;      // Debug overlay of the hitboxes in play
+        this.masks = { capy: {}, topPipe: null, bottomPipe: null };
+        this.unlocks = new CharacterUnlocks();
+        this.character = this.unlocks.selected;
+        this.characterChoice = null;    // The character being looked at, while the character screen is open
+        this.characterPreview = null;   // A capy flapping its wings on the character screen
+        this.newUnlocks = [];           // Characters unlocked by the last run
+        this.course = null;             // The Course being played, or null for random pipes
+        this.courseStart = 0;           // Obstacle of the course the next run starts from
+        this.accessibility = new AccessibilitySettings();
+        this.announcer = null;          // Reads the game out to screen readers, see #registerAccessibility
+        this.assisted = false;          // Whether the assist mode has been on during the run
+        this.capyRenderer = new CapyRenderer(assets, this.accessibility);
+        this.themeArt = new ThemeArt(assets, this.dimensions);
+        this.storage = new LocalStorageAdapter();
+        this.themeSetting = this.loadThemeSetting(); // One of the THEMES, or "auto" to change with the score
+        this.input = new InputManager(canvas, {
+            onAction: this.handleAction.bind(this),
+            onKey: this.handleKey.bind(this),
+            toPoint: (x, y) => this.viewport.toLogical(x, y)
         });
+        this.registerEvents();
+        // The first run is set up behind the loading screen, ready for the title screen
+        this.restart();
+        this.setState(STATES.LOADING);
+        requestAnimationFrame(this.frame.bind(this));
+    }
 
-        /*
-        Whenever a pipe completely passes out of the dimensions of the canvas
-        it should be shifted from the array and a new, randomly generated pair
-        of pipes should be pushed into the array. Unfortunately, JS does not
-        have #first and #last methods for array indices. 
-        */
-        if (this.pipes[0].topPipe.right <= 0) {
-            this.pipes.shift();
-            /*
-            This constant is assigned the extra distance in which the new pipe must be created
-            away from the last pipe in order to retain consistent spacing
-            */
-            const newXOffset = this.pipes[1].topPipe.left + CONSTANTS.HORIZONTAL_PIPE_SPACING;
-            this.pipes.push(this.randomPipe(newXOffset));
-        }
-    }
-
-    moveAnimatedBackground() {
-        switch (this.backgroundQueue[0].pos) {
-            // When first image right edge is at canvas right edge
-            case (480 - 1920):
-                this.backgroundQueue.push(this.makeBackground());
-                this.appendBackground = true;
+    /*
+    The single game loop, run once per animation frame. Rather than moving
+    everything once per frame (which made the game twice as fast on a 120Hz
+    monitor), the time since the last frame is added to an accumulator and
+    the game is stepped forward in fixed ticks until it has caught up.
+    Whatever time is left over is less than one tick, and is used to draw
+    everything part of the way between the last two ticks.
+    A long pause (e.g. a backgrounded tab) is capped by MAX_FRAME_TIME so the
+    game doesn't try to simulate minutes of ticks at once. The assist mode's
+    game speed slows time down, so the ticks themselves stay the same.
+    */
+    frame(timestamp) {
+        const tickLength = 1000 / CONSTANTS.TICKS_PER_SECOND;
+        this.input.pollGamepads();
+        if (this.lastFrame === null) {
+            this.lastFrame = timestamp;
+        }
+        this.accumulator += Math.min(timestamp - this.lastFrame, CONSTANTS.MAX_FRAME_TIME) *
+            this.accessibility.settings.gameSpeed;
+        this.lastFrame = timestamp;
+
+        while (this.accumulator >= tickLength) {
+            this.accumulator -= tickLength;
+            this.step();
+        }
+
+        this.viewport.begin(this.ctx);
+        this.render(this.accumulator / tickLength);
+        this.viewport.end(this.ctx);
+        requestAnimationFrame(this.frame.bind(this));
+    }
+
+    /*
+    Moves the game into a new state, and plays the audio cue for it (see
+    scripts/audio.js). The title, ready and game over screens share the start
+    screen music, which carries on between them, while the gameplay music is
+    faded out (rather than stopped) so that it picks up where it left off after
+    a pause.
+    */
+    setState(state) {
+        this.state = state;
+        this.stateTicks = 0; // Ticks spent in the current state
+        switch (state) {
+            case STATES.TITLE:
+            case STATES.READY:
+                this.audio.playMusic("start");
+                break;
+            case STATES.PLAYING:
+                this.audio.playMusic("gameplay");
                 break;
-            // When first image right edge is at canvas left edge
-            case (-1920):
-                this.backgroundQueue.shift();
+            case STATES.PAUSED:
+                this.audio.pauseMusic();
+                break;
+            case STATES.DYING:
+                this.audio.pauseMusic();
+                this.audio.playEffect("hit");
+                this.startTumble();
+                break;
+            case STATES.GAME_OVER:
+                this.audio.playMusic("start", { restart: true });
                 break;
         }
-        this.backgroundQueue.forEach((background) => {
-            background.pos -= CONSTANTS.BACKGROUND_SPEED;
-        });
     }
 
     /*
-    A simple background is drawn onto the context with a color, and 
-    fills up the entire page.
+    Advances the game by exactly one tick. The background and the capy's wings
+    keep moving until the capy dies (after which it tumbles out of the level),
+    while the run itself is only stepped while playing. Nothing at all moves
+    while paused.
     */
-    drawBackground(ctx) {
-        ctx.fillStyle = "skyblue";
-        ctx.fillRect(0, 0, this.dimensions.width, this.dimensions.height);
+    step() {
+        this.stateTicks++;
+        this.audio.update();
+        switch (this.state) {
+            case STATES.LOADING:
+                // If anything is missing the loading screen waits to be clicked past
+                if (this.assets.done() && this.assets.missing.length === 0) {
+                    this.finishLoading();
+                }
+                break;
+            case STATES.TITLE:
+            case STATES.READY:
+                this.levelRenderer.moveLayers();
+                // The capy's wings beat on their own while it hovers, until the run's first flap
+                this.game.capy.flapWings(true);
+                if (this.characterPreview) {
+                    this.characterPreview.flapWings(true);
+                }
+                if (this.state === STATES.TITLE && this.stateTicks >= SCREENS.DEMO_DELAY &&
+                    !this.showingLeaderboard && !this.characterChoice) {
+                    this.startDemo();
+                }
+                break;
+            case STATES.PLAYING:
+                this.levelRenderer.moveLayers();
+                this.stepRun();
+                break;
+            case STATES.DYING:
+                this.stepTumble();
+                if (this.stateTicks >= SCREENS.DYING_TICKS) {
+                    this.gameOver();
+                }
+                break;
+        }
     }
 
-    drawAnimatedBackground(ctx) {
-        this.backgroundQueue.forEach((background) => {
-            ctx.drawImage(background.image, background.pos, 0);
-        });
+    /*
+    Steps the run by one tick, through the GameCore. When watching a replay,
+    the run is stepped by the ReplayPlayer instead, which flaps for the player.
+    In the demo the autopilot flaps for the player, until DEMO_TICKS are up.
+    The ghost is stepped alongside the run, so both are always on the same tick.
+    Sounds are played for the run's events (see #playRunSounds), and for the replay's flaps.
+    */
+    stepRun() {
+        const before = {
+            score: this.game.score,
+            pickups: this.game.collected.length,
+            shieldsUsed: this.game.shieldsUsed
+        };
+        if (this.replayPlayer) {
+            const flaps = this.game.flaps.length;
+            this.replayPlayer.step();
+            if (this.game.flaps.length > flaps) {
+                this.audio.playEffect("flap");
+            }
+            this.playRunSounds(before);
+            if (this.game.dead) {
+                this.setState(STATES.DYING);
+            } else if (this.replayPlayer.finished()) {
+                this.gameOver();
+            }
+            return;
+        }
+
+        if (this.autopilot) {
+            if (this.stateTicks >= SCREENS.DEMO_TICKS) {
+                this.showTitle();
+                return;
+            }
+            if (this.autopilot.decide(this.game)) {
+                this.flap();
+            }
+        }
+        if (this.ghost) {
+            this.ghost.step();
+        }
+
+        const running = this.game.step();
+        this.playRunSounds(before);
+        if (!running) {
+            this.endRun();
+        }
     }
 
     /*
-    Custom iteration method that binds 'this' to the Level instance
-    instead of allowing it to become something else
+    Plays the sounds for whatever happened in the tick just stepped, going by
+    what the run looked like before it: pipes passed and coins score, other
+    pickups power up, and a shield taking a hit has a sound of its own.
     */
-    eachPipe(callback) {
-        this.pipes.forEach(callback.bind(this));
+    playRunSounds(before) {
+        if (this.game.score > before.score) {
+            this.scored();
+        }
+        if (this.game.collected.slice(before.pickups).some((type) => type !== "coin")) {
+            this.audio.playEffect("powerUp");
+        }
+        if (this.game.shieldsUsed > before.shieldsUsed) {
+            this.audio.playEffect("shield");
+        }
+    }
+
+    // Every point scored plays a sound, is read out, and can move the theme on (see THEME_SCHEDULE)
+    scored() {
+        this.audio.playEffect("score");
+        if (!this.autopilot) {
+            this.announce(`Score ${this.game.score}`);
+        }
+        this.levelRenderer.setTheme(this.themeFor(this.game.score));
     }
 
     /*
-    Logic that handles the collision with Capy instance. Whenever the hitbox of
-    the Capy instance exceeds the dimensions of the pipe (e.g. colliding with it)
-    the collision instance variable will be set to true, otherwise defaulting to false.
+    Once a run is over it's kept as the last replay, and a crash is shown before
+    moving on to the game over screen, while a run that ran out of time or was
+    ended by the player goes straight there.
+    A run of a random course is also recorded as the seed's best replay (if it
+    beats it), added to the history the statistics are drawn from and unlocks
+    any characters its score reaches. A run of a course isn't, since its score
+    isn't comparable with random runs, and instead the next run starts from the
+    last checkpoint it got past unless it finished the course. Nor is a run
+    played with any of the assist mode on, which also stays off the leaderboard
+    (see #gameOver). The demo isn't the player's run, so nothing of it is kept.
     */
-    collidesWith(capyBound) {
-        /*
-        Instance invoked fat arrow method that will store a boolean result of
-        the collision between a pipe instance and capy.
-        */
-        const _overlap = (pipe, capy) => {
-            if (pipe.left > capy.right || pipe.right < capy.left) {
-                return false;
+    endRun() {
+        if (!this.autopilot) {
+            this.lastReplay = Replay.fromGame(this.game);
+            if (this.course && this.game.endReason !== "complete" && this.game.checkpoint !== null) {
+                this.courseStart = this.game.checkpoint;
             }
-            if (pipe.top > capy.bottom || pipe.bottom < capy.top) {
-                return false;
+            if (!this.course && !this.assisted) {
+                this.replays.record(this.lastReplay);
+                this.history.record(this.game);
+                this.newUnlocks = this.unlocks.record(this.game);
             }
-            return true;
+        }
+        if (this.game.dead) {
+            this.setState(STATES.DYING);
+        } else {
+            this.gameOver();
+        }
+    }
+
+    /*
+    When the capy dies it's knocked upwards and tumbles out of the bottom of
+    the level, spinning from whatever angle it was drawn at. This is only for
+    show: the run itself has already stopped where the capy hit.
+    */
+    startTumble() {
+        const capy = this.game.capy;
+        const angle = this.capyRenderer.pose(capy).angle;
+        this.tumble = { y: capy.y, prevY: capy.y, vel: CAPY_ANIMATION.TUMBLE_BOUNCE, angle, prevAngle: angle };
+    }
+
+    stepTumble() {
+        const tumble = this.tumble;
+        if (tumble.y > this.dimensions.height) {
+            return;
+        }
+        tumble.prevY = tumble.y;
+        tumble.prevAngle = tumble.angle;
+        tumble.y += tumble.vel;
+        tumble.vel += CAPY_ANIMATION.TUMBLE_GRAVITY;
+        if (!this.accessibility.reducedMotion()) {
+            tumble.angle += CAPY_ANIMATION.TUMBLE_SPIN;
+        }
+    }
+
+    // The tumbling capy's pose (see CapyRenderer#pose), interpolated between ticks
+    tumblePose(alpha) {
+        const tumble = this.tumble;
+        return {
+            y: tumble.prevY + (tumble.y - tumble.prevY) * alpha,
+            angle: tumble.prevAngle + (tumble.angle - tumble.prevAngle) * alpha,
+            scaleX: this.game.capy.scale,
+            scaleY: this.game.capy.scale
         };
+    }
 
-        // Default value of collision as false, which will not be changed unless
-        // a collision is detected.
-        let collision = false;
-
-        /*
-        An iteration through each pipe calling on the _overlap variable invoked method
-        to determine if a collision has occured. Since each pair of pipes is made of two
-        individual pipes, the top and bottom pipes will have to be taken into account when
-        checking for collision.
-        */
-        this.eachPipe((pipe) => {
-            if (_overlap(pipe.topPipe, capyBound) || _overlap(pipe.bottomPipe, capyBound)) {
-                collision = true;
-            }
-        });
-        return collision;
+    /*
+    Ends the run on the game over screen. A score good enough for the
+    leaderboard (not from a replay or a course) is named on the game over
+    screen first. The demo has no game over screen, and goes back to the title
+    screen instead.
+    */
+    gameOver() {
+        if (this.autopilot) {
+            this.showTitle();
+            return;
+        }
+        if (this.game.dead) {
+            this.audio.playEffect("death");
+        }
+        this.highlightRank = -1;
+        if (!this.replayPlayer && !this.game.course && !this.assisted && this.leaderboard.qualifies(this.game.score)) {
+            this.nameEntry = { name: this.lastName };
+        }
+        this.announce(`${this.gameOverTitle()} Score ${this.game.score}`);
+        this.setState(STATES.GAME_OVER);
     }
 
     /*
-    Logic to check whether or not a capy has passed the pipe obstacle.
-    Through the game script, a simple callback that increments the score is passed
-    into this method to be called whenever a pipe is cleared.
-    Note that any pipe within the array can be considered, but since the capy has no
-    horizontal movement relative to the canvas each pipe will only be passed once,
-    so it is okay to iterate through all pipes in the array, every single time
-    the method is being called
+    Draws the whole scene, back to front, with alpha being how far the
+    current frame is between the previous and the current tick. The screen
+    for the current state is drawn over the top.
+    Once the capy is frozen (dead or paused) alpha no longer applies, as
+    nothing has moved since the last tick, apart from a dead capy tumbling.
     */
-    passedPipe(capy, callback) {
-        this.eachPipe((pipe) => {
-            if (pipe.topPipe.right < capy.left) {
-                if (!pipe.passed) {
-                    pipe.passed = true;
-                    callback();
+    render(alpha) {
+        if (this.state === STATES.LOADING) {
+            this.loadingScreen();
+            return;
+        }
+        const tumbleAlpha = this.state === STATES.DYING ? alpha : 1;
+        const moving = [STATES.TITLE, STATES.READY, STATES.PLAYING].includes(this.state);
+        if (!moving) {
+            alpha = 1;
+        }
+        this.ctx.save();
+        this.shakeScreen();
+        this.levelRenderer.drawLayers(this.ctx, alpha);
+        if (this.accessibility.settings.highContrast) {
+            this.drawOverlay();
+        }
+        this.levelRenderer.drawPipes(this.ctx, this.game.level, alpha);
+        this.levelRenderer.drawCheckpoints(this.ctx, this.game.level, alpha);
+        this.levelRenderer.drawPickups(this.ctx, this.game.level, alpha);
+        this.drawGhost(alpha);
+        this.drawCapy(alpha, tumbleAlpha);
+        if (!this.accessibility.settings.highContrast) {
+            this.levelRenderer.drawLayers(this.ctx, alpha, true);
+        }
+        if (this.showHitboxes) {
+            this.drawHitboxes();
+        }
+        this.ctx.restore();
+
+        switch (this.state) {
+            case STATES.TITLE:
+                this.titleScreen();
+                break;
+            case STATES.READY:
+                this.readyScreen();
+                break;
+            case STATES.PLAYING:
+                this.drawScore();
+                this.drawSeed();
+                if (this.autopilot) {
+                    this.demoScreen();
                 }
+                break;
+            case STATES.PAUSED:
+                this.drawScore();
+                this.pausedScreen();
+                break;
+            case STATES.DYING:
+                this.drawScore();
+                this.drawHitFlash();
+                break;
+            case STATES.GAME_OVER:
+                if (this.nameEntry) {
+                    this.drawNameEntry();
+                } else {
+                    this.gameOverScreen();
+                }
+                break;
+        }
+        if (this.showsSoundButton()) {
+            this.drawButton(this.soundButton(), this.audio.settings.muted ? "Sound: off" : "Sound: on");
+        }
+    }
+
+    /*
+    Displays the current score of the Game by drawing on the current context
+    and filling in the strings with interpolated values. Runs with a time
+    limit show the time left under it, followed by the run's coins and the
+    pickup effects in play (see #drawEffects).
+    */
+    drawScore() {
+        const loc = { x: 10, y: 60 };
+        this.ctx.font = "bold 40pt sans-serif";
+        this.ctx.fillStyle = "white";
+        this.ctx.fillText(`Score: ${this.game.score}`, loc.x, loc.y);
+        this.ctx.strokeStyle = "black";
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeText(`Score: ${this.game.score}`, loc.x, loc.y);
+
+        const timeLeft = this.game.timeLeft();
+        if (timeLeft !== null) {
+            this.ctx.font = "bold 20pt sans-serif";
+            this.ctx.lineWidth = 1;
+            this.ctx.fillText(`Time: ${Math.ceil(timeLeft)}`, loc.x, loc.y + 40);
+            this.ctx.strokeText(`Time: ${Math.ceil(timeLeft)}`, loc.x, loc.y + 40);
+        }
+        this.drawEffects(timeLeft === null ? loc.y + 30 : loc.y + 70);
+    }
+
+    /*
+    A row for the coins collected this run and for each pickup effect in play,
+    starting at top: the pickup's icon, its name and a bar of the time it has left.
+    */
+    drawEffects(top) {
+        const rows = Object.keys(this.game.effects);
+        if (this.game.coins > 0) {
+            rows.unshift("coin");
+        }
+        this.ctx.save();
+        this.ctx.font = "bold 14pt sans-serif";
+        this.ctx.textBaseline = "middle";
+        rows.forEach((type, i) => {
+            const y = top + 16 + (i * 32);
+            drawPickupIcon(this.ctx, type, 22, y, 12, this.accessibility.pickupColor(type));
+            this.ctx.fillStyle = "white";
+            if (type === "coin") {
+                this.ctx.fillText(`x ${this.game.coins}`, 42, y);
+                return;
             }
+            this.ctx.fillText(PICKUPS[type].name, 42, y);
+            const left = this.game.effectTimeLeft(type) / PICKUPS[type].duration;
+            this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+            this.ctx.fillRect(170, y - 5, 80, 10);
+            this.ctx.fillStyle = PICKUPS[type].color;
+            this.ctx.fillRect(170, y - 5, 80 * left, 10);
         });
+        this.ctx.restore();
     }
 
     /*
-    The generator for pipes, given an input distance. While a simple game can memo-ize this
-    method and others by always having a fixed distance, this allows for greater flexibility in
-    designing variations in the game constants. A heightRange instance variable is set to be within 
-    the edge buffers such that the gap will never be at the vertical extremes of the canvas.
-    Since gap distance is defined in the constants, only one reference to the gap is needed, in this
-    case the topOfGap is chosen. 
-    A POJO is created and returned with the appropriate dimensions
-    */
-    randomPipe(distance) {
-        const heightRange = this.dimensions.height - (2 * CONSTANTS.EDGE_BUFFER) - CONSTANTS.PIPE_GAP;
-        const topOfGap = (Math.random() * heightRange) + CONSTANTS.EDGE_BUFFER;
-        const pipe = {
-            topPipe: {
-                left: distance,
-                right: CONSTANTS.PIPE_WIDTH + distance,
-                top: 0,
-                bottom: topOfGap
-            },
-            bottomPipe: {
-                left: distance,
-                right: CONSTANTS.PIPE_WIDTH + distance,
-                top: topOfGap + CONSTANTS.PIPE_GAP,
-                bottom: this.dimensions.height
-            },
-            passed: false
-        };
-        return pipe;
+    Draws the player's capy, tumbling if it's dead, and blinking while it can't
+    crash after its shield was used (see PICKUP.SHIELD_GRACE). A capy with a
+    shield has a bubble drawn around it.
+    */
+    drawCapy(alpha, tumbleAlpha) {
+        const capy = this.game.capy;
+        this.ctx.save();
+        if (this.game.graceTicks > 0 && Math.floor(this.game.graceTicks / 6) % 2 === 0) {
+            this.ctx.globalAlpha = 0.4;
+        }
+        this.capyRenderer.drawCapy(this.ctx, capy, alpha, this.tumble ? this.tumblePose(tumbleAlpha) : undefined);
+        this.ctx.restore();
+
+        if (this.game.effects.shield && !this.tumble) {
+            const y = capy.prevY + (capy.y - capy.prevY) * alpha;
+            this.ctx.save();
+            this.ctx.strokeStyle = this.accessibility.pickupColor("shield");
+            this.ctx.lineWidth = 3;
+            this.ctx.globalAlpha = 0.7;
+            this.ctx.beginPath();
+            this.ctx.arc(capy.x + (CONST.CAPY_WIDTH / 2), y + (CONST.CAPY_HEIGHT / 2), CONST.CAPY_WIDTH * 0.7, 0, 2 * Math.PI);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
     }
-}
 
-//---------------------------------------------------------------------//
+    // Draws the ghost capy see-through, until it dies
+    drawGhost(alpha) {
+        if (!this.ghost || this.ghost.game.dead) {
+            return;
+        }
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.4;
+        this.capyRenderer.drawCapy(this.ctx, this.ghost.game.capy, alpha);
+        this.ctx.restore();
+    }
 
-// A hash of constants that can be changed based on capy sprite hitbox
-// and other properties
-const CONST = {
-    CAPY_WIDTH: 45,  // Width of capy hitbox DEFAULT 50
-    CAPY_HEIGHT: 33, // Height of capy hitbox DEFAULT 38
-    GRAVITY: 0.4,    // 'Acceleration' value representing gravity
-    FLAP_SPEED: 7.5,   // 'Acceleration' value of a #flap DEFAULT 8
-    TERMINAL_VEL: 12, // Maximum velocity the capy can reach
-    ANIMATED_FLAP_SPEED: 5
-};
+    // Displays the seed (or course) of the current run in the bottom corner of the canvas
+    drawSeed() {
+        const loc = { x: 10, y: this.dimensions.height - 10 };
+        const label = this.replayPlayer ? "Replay - seed" : "Seed";
+        this.ctx.font = "12pt sans-serif";
+        this.ctx.fillStyle = "white";
+        if (this.game.course) {
+            this.ctx.fillText(`${this.replayPlayer ? "Replay - course" : "Course"}: ${this.game.course.name}`, loc.x, loc.y);
+            return;
+        }
+        this.ctx.fillText(`${label}: ${this.game.seed}`, loc.x, loc.y);
+    }
 
-class Capy {
     /*
-    Constructor function that sets the appropriate dimensions of the canvas,
-    as well as the position of the capy relative to the canvas. The velocity
-    is initialized to be 0 to indicate the stopped value.
+    Debug overlay of every hitbox in play, drawn where they were at the last
+    tick (which is what collisions are checked against), rather than
+    interpolated like the sprites.
     */
-    constructor(dimensions) {
-        this.dimensions = dimensions;
-        this.x = dimensions.width / 3;
-        this.y = dimensions.height / 2;
-        this.vel = 0;
-        this.capyCounter = 0;
+    drawHitboxes() {
+        const level = this.game.level;
+        this.ctx.save();
+        this.ctx.fillStyle = "rgba(255, 0, 0, 0.3)";
+        this.ctx.strokeStyle = "red";
+        this.ctx.lineWidth = 1;
+        level.eachPipe((pipe) => {
+            level.pieces(pipe).forEach((piece) => drawHitbox(this.ctx, level.pipeHitbox(piece)));
+        });
+        drawHitbox(this.ctx, this.game.capy.hitbox());
+        this.ctx.restore();
+    }
+
+    /*
+    Shakes the scene about when the capy is hit, settling down over SHAKE_TICKS.
+    The edges the scene is shaken away from are left black. Nothing shakes with
+    reduced motion on.
+    */
+    shakeScreen() {
+        if (this.state !== STATES.DYING || this.stateTicks >= SCREENS.SHAKE_TICKS || this.accessibility.reducedMotion()) {
+            return;
+        }
+        const amount = SCREENS.SHAKE_AMOUNT * (1 - (this.stateTicks / SCREENS.SHAKE_TICKS));
+        this.ctx.fillStyle = "black";
+        this.ctx.fillRect(0, 0, this.dimensions.width, this.dimensions.height);
+        this.ctx.translate((Math.random() * 2 - 1) * amount, (Math.random() * 2 - 1) * amount);
+    }
 
-        // Memo-ize capy image so it doesn't need to load everytime #drawCapy is called
-        //    this.capySprite = new Image();
-        //this.capySprite.src = 'assets/images/capy-sprite-small.png';
-        //this.capySprite.src = 'assets/images/capy-sprite-gif.gif';
-        //    this.capySprite.src = 'assets/images/capy-sprite-sheet.png';
-        this.capySprite1 = new Image();
-        this.capySprite2 = new Image();
-        this.capySprite3 = new Image();
-        this.capySprite1.src = 'assets/images/capy-wings1.png';
-        this.capySprite2.src = 'assets/images/capy-wings2.png';
-        this.capySprite3.src = 'assets/images/capy-wings3.png';
+    // Flashes the screen white when the capy is hit, fading out quickly, unless motion is reduced
+    drawHitFlash() {
+        if (this.stateTicks >= SCREENS.FLASH_TICKS || this.accessibility.reducedMotion()) {
+            return;
+        }
+        const opacity = 1 - (this.stateTicks / SCREENS.FLASH_TICKS);
+        this.ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
+        this.ctx.fillRect(0, 0, this.dimensions.width, this.dimensions.height);
+    }
+
+    // Darkens the scene behind a menu drawn on top of it
+    drawOverlay() {
+        this.ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        this.ctx.fillRect(0, 0, this.dimensions.width, this.dimensions.height);
     }
 
     /*
-    Animation function that takes in the canvas and #moveCapy before drawing
-    it on the canvas for rendering
+    Writes a line of text centred across the canvas at the given height, in
+    white with a black outline so it can be read over the background.
     */
-    animate(ctx) {
-        this.moveCapy();
-        this.drawCapy(ctx);
+    screenText(text, y, font = "bold 20pt sans-serif") {
+        this.ctx.save();
+        this.ctx.textAlign = "center";
+        this.ctx.font = font;
+        this.ctx.fillStyle = "white";
+        this.ctx.fillText(text, this.dimensions.width / 2, y);
+        this.ctx.strokeStyle = "black";
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeText(text, this.dimensions.width / 2, y);
+        this.ctx.restore();
     }
 
     /*
-    Capy is represented as a capysprite, but the hitbox is inaccurate
+    A progress bar filling up as the assets load. Once loading is finished,
+    any assets that couldn't be loaded are listed (the game can still be
+    played without them).
     */
-    drawCapy(ctx) {
-        // ctx.fillStyle = "yellow";
-        // ctx.fillRect(this.x, this.y, CONST.CAPY_WIDTH, CONST.CAPY_HEIGHT);
+    loadingScreen() {
+        const bar = { left: 90, top: 300, width: this.dimensions.width - 180, height: 24 };
+        this.ctx.fillStyle = "skyblue";
+        this.ctx.fillRect(0, 0, this.dimensions.width, this.dimensions.height);
+        this.screenText("Flappy Capybara", 200, "bold 36pt sans-serif");
 
-        // ctx.drawImage(this.capySprite, this.x, this.y);
-        this.capyCounter++;
-        let sprite;
-        if (this.capyCounter <= (CONST.ANIMATED_FLAP_SPEED * 1)) {
-            sprite = this.capySprite1;
-        } else if (this.capyCounter <= (CONST.ANIMATED_FLAP_SPEED * 2)) {
-            sprite = this.capySprite2;
-        } else if (this.capyCounter <= (CONST.ANIMATED_FLAP_SPEED * 3)) {
-            sprite = this.capySprite3;
-        } else if (this.capyCounter <= (CONST.ANIMATED_FLAP_SPEED * 4)) {
-            this.capyCounter = 0;
-            sprite = this.capySprite2;
+        if (this.assets.done() && this.assets.missing.length > 0) {
+            this.screenText("Some files couldn't be loaded:", 280, "16pt sans-serif");
+            this.assets.missing.forEach((src, i) => {
+                this.screenText(src, 315 + (i * 25), "12pt sans-serif");
+            });
+            this.screenText("Click or press Enter to play anyway", 540);
+            return;
         }
-        ctx.drawImage(sprite, this.x, this.y);
+
+        this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+        this.ctx.fillRect(bar.left, bar.top, bar.width, bar.height);
+        this.ctx.fillStyle = "white";
+        this.ctx.fillRect(bar.left, bar.top, bar.width * this.assets.progress(), bar.height);
+        this.screenText(`Loading... ${Math.floor(this.assets.progress() * 100)}%`, bar.top + 60, "16pt sans-serif");
+    }
+
+    titleScreen() {
+        if (this.showingLeaderboard) {
+            this.drawLeaderboard();
+            return;
+        }
+        if (this.characterChoice) {
+            this.drawCharacterScreen();
+            return;
+        }
+        this.screenText("Flappy Capybara", 200, "bold 36pt sans-serif");
+        this.drawModeSelector();
+        this.screenText("Click or press Enter to start", 420);
+        const best = this.bestScore();
+        if (best > 0) {
+            this.screenText(`Best: ${best}`, 460, "16pt sans-serif");
+        }
+        this.drawLeaderboardButton();
+        this.drawButton(this.charactersButton(), "Characters");
+    }
+
+    readyScreen() {
+        this.screenText("Get ready!", 200, "bold 32pt sans-serif");
+        this.screenText(GAME_MODES[this.game.mode].name, 240, "16pt sans-serif");
+        if (this.game.startAt > 0) {
+            this.screenText(`From obstacle ${this.game.startAt + 1}`, 270, "14pt sans-serif");
+        }
+        if (this.assisted) {
+            this.screenText("Assist mode", 300, "14pt sans-serif");
+        }
+        this.screenText("Click to flap", 420);
+        this.drawSeed();
+    }
+
+    // Labels the demo, so it isn't taken for a run being played
+    demoScreen() {
+        this.screenText("Demo", 200, "bold 32pt sans-serif");
+        this.screenText("Click or press Enter to stop", 420);
+    }
+
+    pausedScreen() {
+        this.drawOverlay();
+        this.screenText("Paused", 260, "bold 36pt sans-serif");
+        this.screenText("Click or press P to resume", 330);
+        this.screenText("Esc to quit to the title screen", 370, "14pt sans-serif");
     }
 
     /*
-    Capy is adjusted according to y position based on current velocity, and the 
-    effects of gravity is added to the velocity for the next update in position.
-    Capy rotation can be added later, with a max range to represent a parabolic 
-    function's tangent at a certain position.
+    Shows how the run went in place of the old alert: the score, the best
+    score so far in the mode, where it placed on the leaderboard and any
+    characters it unlocked, along with the seed so the course can be shared, and a prompt to play again.
     */
-    moveCapy() {
-        this.y += this.vel;
-        this.vel += CONST.GRAVITY;
+    gameOverScreen() {
+        this.drawOverlay();
+        this.screenText(this.gameOverTitle(), 170, "bold 36pt sans-serif");
+        this.screenText(`Score: ${this.game.score}`, 250, "bold 28pt sans-serif");
+        if (this.game.course) {
+            this.courseSummary();
+            return;
+        }
+        this.screenText(`Best in ${GAME_MODES[this.mode].name}: ${this.bestScore()}`, 295);
+        if (this.highlightRank >= 0) {
+            this.screenText(`#${this.highlightRank + 1} on the leaderboard!`, 335, "16pt sans-serif");
+        }
+        if (this.newUnlocks.length > 0) {
+            const names = this.newUnlocks.map((id) => CHARACTERS[id].name).join(", ");
+            this.screenText(`Unlocked: ${names}!`, 362, "bold 16pt sans-serif");
+        }
+        this.screenText(`Seed: ${this.game.seed}`, 390, "14pt sans-serif");
+        this.screenText(`Add ?seed=${this.game.seed} to the URL to race this course`, 415, "12pt sans-serif");
+        if (this.stateTicks >= SCREENS.GAME_OVER_DELAY) {
+            this.screenText("Click or press Enter to play again", 480);
+            this.screenText("Esc for the title screen", 515, "14pt sans-serif");
+        }
+    }
 
+    /*
+    The rest of the game over screen for a run of a course: how far through the
+    course it got, and whether playing again starts from a checkpoint.
+    */
+    courseSummary() {
+        const course = this.game.course;
+        const cleared = this.game.startAt + this.game.level.pipesPassed;
+        this.screenText(course.name, 295);
+        this.screenText(`${cleared} of ${course.obstacles.length} obstacles cleared`, 335, "16pt sans-serif");
+        if (this.stateTicks >= SCREENS.GAME_OVER_DELAY) {
+            const retry = this.courseStart > 0 && !this.replayPlayer ?
+                `from obstacle ${this.courseStart + 1}` : "again";
+            this.screenText(`Click or press Enter to play ${retry}`, 480);
+            this.screenText("Esc for the title screen", 515, "14pt sans-serif");
+        }
+    }
 
-        /*
-        Logic to determine whether or not to reset the velocity to the terminal
-        velocity. Though switch case is not necessary, it is an alternative to 
-        if comments, and I prefer the clarity of switch cases.
-        */
-        if (Math.abs(this.vel) > CONST.TERMINAL_VEL) {
-            switch (this.vel > 0) {
-                case true:
-                    this.vel = CONST.TERMINAL_VEL;
-                    break;
-                case false:
-                    this.vel = CONST.TERMINAL_VEL * -1;
-                    break;
-            }
+    // The heading of the game over screen, depending on how the run ended
+    gameOverTitle() {
+        if (this.replayPlayer) {
+            return "Replay over";
+        }
+        switch (this.game.endReason) {
+            case "time":
+                return "Time's up!";
+            case "complete":
+                return "Course complete!";
+            case "quit":
+                return "Run over";
+            default:
+                return "Game over";
         }
     }
 
-    // Simple method that is called whenever there is an appropriate keypress, 
-    // and increments the velocity by the FLAP_SPEED
-    flap() {
-        this.vel = CONST.FLAP_SPEED * -1;
+    // The best score in the current mode, from the leaderboard or any recorded run
+    bestScore() {
+        const bestReplay = this.replays.bestOverall(this.mode);
+        return Math.max(this.leaderboard.best(), bestReplay ? bestReplay.score : 0);
     }
 
     /*
-    Method that returns a POJO containing the capy hitbox, for use when determining
-    if the capy has hit out of bounds, or one of the pipes. 
-    When using a custom sprite, the hitboxes may be a little off, and different extremes
-    may potentially be a better choice.
-    An elliptical/circle function may be used to determine appropriate bounds
+    Prompt for the name of a new high score, showing the name typed so far
+    with a cursor after it.
     */
-    bounds() {
+    drawNameEntry() {
+        this.drawOverlay();
+        this.screenText("New high score!", 200, "bold 28pt sans-serif");
+        this.screenText(`${this.game.score} points on seed ${this.game.seed}`, 250);
+        this.screenText("Type your name:", 320);
+        this.screenText(`${this.nameEntry.name}_`, 370, "bold 24pt sans-serif");
+        this.screenText("Press Enter or click to save", 430, "14pt sans-serif");
+    }
+
+    /*
+    The leaderboard, with the newest high score highlighted. Each row is the
+    position, name, score and date of the run.
+    */
+    drawLeaderboard() {
+        const columns = { rank: 40, name: 80, score: 300, date: 360 };
+        this.drawOverlay();
+        this.ctx.save();
+        this.ctx.fillStyle = "white";
+        this.ctx.textAlign = "center";
+        this.ctx.font = "bold 28pt sans-serif";
+        this.ctx.fillText("High Scores", this.dimensions.width / 2, 100);
+        this.ctx.font = "16pt sans-serif";
+        this.ctx.fillText(GAME_MODES[this.mode].name, this.dimensions.width / 2, 135);
+
+        this.ctx.textAlign = "left";
+        if (this.leaderboard.entries.length === 0) {
+            this.ctx.fillText("No high scores yet!", columns.name, 180);
+        }
+        this.leaderboard.entries.forEach((entry, rank) => {
+            const y = 170 + (rank * 36);
+            this.ctx.fillStyle = rank === this.highlightRank ? "gold" : "white";
+            this.ctx.fillText(`${rank + 1}.`, columns.rank, y);
+            this.ctx.fillText(entry.name, columns.name, y);
+            this.ctx.fillText(entry.score, columns.score, y);
+            this.ctx.fillText(new Date(entry.date).toLocaleDateString(), columns.date, y);
+        });
+
+        this.ctx.fillStyle = "white";
+        this.ctx.textAlign = "center";
+        this.ctx.font = "14pt sans-serif";
+        this.ctx.fillText("Click to close", this.dimensions.width / 2, this.dimensions.height - 60);
+        this.ctx.restore();
+    }
+
+    // The area of the canvas that opens the leaderboard from the title screen
+    leaderboardButton() {
+        return { left: this.dimensions.width - 130, top: 80, width: 120, height: 36 };
+    }
+
+    drawLeaderboardButton() {
+        this.drawButton(this.leaderboardButton(), "High Scores");
+    }
+
+    // The area of the canvas that opens the character screen from the title screen
+    charactersButton() {
+        return { left: 10, top: 80, width: 120, height: 36 };
+    }
+
+    // The area of the canvas that mutes and unmutes the sound, just above the leaderboard button
+    soundButton() {
+        return { left: this.dimensions.width - 130, top: 30, width: 120, height: 36 };
+    }
+
+    /*
+    The sound button is shown on every screen with a menu, but not during a run,
+    where a click is a flap (the mute key works at any time).
+    */
+    showsSoundButton() {
+        switch (this.state) {
+            case STATES.TITLE:
+                return !this.showingLeaderboard && !this.characterChoice;
+            case STATES.READY:
+            case STATES.PAUSED:
+                return true;
+            case STATES.GAME_OVER:
+                return !this.nameEntry;
+            default:
+                return false;
+        }
+    }
+
+    // Draws a labelled button on the canvas, in the area given
+    drawButton(button, label) {
+        this.ctx.save();
+        this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+        this.ctx.fillRect(button.left, button.top, button.width, button.height);
+        this.ctx.fillStyle = "white";
+        this.ctx.textAlign = "center";
+        this.ctx.font = "14pt sans-serif";
+        this.ctx.fillText(label, button.left + (button.width / 2), button.top + 24);
+        this.ctx.restore();
+    }
+
+    /*
+    The arrows either side of the mode's name on the title screen, which change
+    the mode, and either side of the character on the character screen
+    */
+    arrowButtons() {
+        const top = 285;
         return {
-            left: this.x,
-            right: this.x + CONST.CAPY_WIDTH,
-            top: this.y,
-            bottom: this.y + CONST.CAPY_HEIGHT
+            previous: { left: 40, top, width: 50, height: 40 },
+            next: { left: this.dimensions.width - 90, top, width: 50, height: 40 }
         };
     }
 
+    // Shows the chosen mode with a line about it, between arrows to change it
+    drawModeSelector() {
+        const buttons = this.arrowButtons();
+        const mode = GAME_MODES[this.mode];
+        this.drawArrows();
+        this.screenText(mode.name, buttons.previous.top + 30, "bold 24pt sans-serif");
+        this.screenText(mode.description, buttons.previous.top + 70, "12pt sans-serif");
+    }
+
+    drawArrows() {
+        const buttons = this.arrowButtons();
+        this.ctx.save();
+        this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+        [buttons.previous, buttons.next].forEach((button) => {
+            this.ctx.fillRect(button.left, button.top, button.width, button.height);
+        });
+        this.ctx.fillStyle = "white";
+        this.ctx.textAlign = "center";
+        this.ctx.font = "bold 20pt sans-serif";
+        this.ctx.fillText("<", buttons.previous.left + (buttons.previous.width / 2), buttons.previous.top + 30);
+        this.ctx.fillText(">", buttons.next.left + (buttons.next.width / 2), buttons.next.top + 30);
+        this.ctx.restore();
+    }
+
     /*
-    Logic that handles the testing of if the capy has hit the upper and lower bounds of
-    the canvas, as given by the dimensions passed into the constructor.
+    The character screen, showing one character at a time at twice its size,
+    flapping its wings, between arrows to look through the others. Characters
+    that are still locked are shown faded out, with the score that unlocks them.
     */
-    outOfBounds() {
-        const aboveTop = this.y < 0;
-        const belowBottom = this.y + CONST.CAPY_HEIGHT > this.dimensions.height;
-        return aboveTop || belowBottom;
+    drawCharacterScreen() {
+        const character = CHARACTERS[this.characterChoice];
+        const unlocked = this.unlocks.isUnlocked(this.characterChoice);
+        const preview = this.characterPreview;
+        this.drawOverlay();
+        this.screenText("Characters", 120, "bold 28pt sans-serif");
+
+        this.ctx.save();
+        this.ctx.translate((this.dimensions.width / 2) - CONST.CAPY_WIDTH, 240);
+        this.ctx.scale(2, 2);
+        this.ctx.globalAlpha = unlocked ? 1 : 0.3;
+        this.capyRenderer.drawCapy(this.ctx, preview);
+        this.ctx.restore();
+        this.drawArrows();
+
+        this.screenText(character.name, 380, "bold 24pt sans-serif");
+        this.screenText(character.description, 415, "12pt sans-serif");
+        if (!unlocked) {
+            this.screenText(`Score ${character.unlockScore} in one run to unlock,`, 460, "16pt sans-serif");
+            this.screenText(`or collect ${character.unlockCoins} coins (you have ${this.unlocks.coins})`, 485, "16pt sans-serif");
+        } else if (this.characterChoice === this.character) {
+            this.screenText("Chosen", 470, "16pt sans-serif");
+        } else {
+            this.screenText("Click or press Enter to choose", 470, "16pt sans-serif");
+        }
+        this.screenText("Esc to go back", this.dimensions.height - 60, "14pt sans-serif");
     }
-}
 
-//---------------------------------------------------------------------//
+    // Saves the high score under the name that was typed in, and moves on to the game over screen
+    confirmName() {
+        const name = Leaderboard.cleanName(this.nameEntry.name);
+        this.lastName = name;
+        this.highlightRank = this.leaderboard.add({
+            name,
+            score: this.game.score,
+            seed: this.game.seed
+        });
+        this.nameEntry = null;
+    }
 
-class FlappyCapy {
-    /* 
-    Constructor function that will start a 2d drawing context,
-    instantiate dimensions of the canvas context,
-    start an event listener for mouse clicks (implement space bar later),
-    and start the game loop.
+    // Edits the name being entered with a keypress
+    typeName(e) {
+        const name = this.nameEntry.name;
+        if (e.key === "Enter") {
+            this.confirmName();
+        } else if (e.key === "Backspace") {
+            this.nameEntry.name = name.slice(0, -1);
+        } else if (e.key.length === 1 && name.length < LEADERBOARD.MAX_NAME_LENGTH) {
+            this.nameEntry.name = name + e.key;
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    // Starts off the run with its first flap
+    play() {
+        this.game.start();
+        this.setState(STATES.PLAYING);
+        this.flap();
+    }
+
+    // Flaps the capy for the player
+    flap() {
+        this.game.flap();
+        this.audio.playEffect("flap");
+    }
+
+    /*
+    Whenever the game is over, this method will be invoked to reset
+    game state and create a new GameCore (with its Level and Capy) and
+    renderers, as well as resetting the tick timer, leaving the new run
+    waiting on the ready screen.
+    A seed can be passed in to replay a specific course, otherwise the seed
+    given to the constructor is used, or a new one is generated.
     */
-    constructor(canvas, audioObj) {
-        this.ctx = canvas.getContext("2d");
-        this.dimensions = { width: canvas.width, height: canvas.height };
-        this.audioObj = audioObj;
-        this.registerEvents();
+    restart(seed) {
+        this.game = new GameCore(seed || this.fixedSeed || SeededRandom.randomSeed(), this.dimensions, {
+            capyHitbox: this.hitboxTypes.capy,
+            pipeHitbox: this.hitboxTypes.pipe,
+            masks: this.masks,
+            mode: this.mode,
+            character: this.character,
+            course: this.course,
+            startAt: this.courseStart,
+            gapBonus: this.accessibility.gapBonus()
+        });
+        this.levelRenderer = new LevelRenderer(this.dimensions, this.themeArt, this.themeFor(0), this.accessibility);
+        this.assisted = this.accessibility.assisted();
+        this.replayPlayer = null;
+        this.autopilot = null;  // The policy flying the demo, see #startDemo
+        this.tumble = null;     // The dead capy's fall, see #startTumble
+        this.nameEntry = null;
+        this.newUnlocks = [];
+        this.showingLeaderboard = false;
+        this.closeCharacters();
+        this.setupGhost();
+        // Time left over from a run shouldn't carry into the next one
+        this.accumulator = 0;
+        this.lastFrame = null;
+        this.audio.rewindMusic("gameplay");
+        this.setState(STATES.READY);
+    }
+
+    // Sets up a new run behind the title screen, leaving any course that was being played
+    showTitle() {
+        this.course = null;
         this.restart();
+        this.setState(STATES.TITLE);
     }
 
     /*
-    Animation of the Game instance that calls the animation of
-    the Capy and Level instances, within this context.
+    Races the best replay of the mode on the current seed as a ghost, if there
+    is one. Courses aren't built from the seed, so they have no ghost, and
+    neither does a run whose gaps are a different size to the best one's.
     */
-    animate() {
-        this.level.animate(this.ctx);
-        /* 
-        After animating all the instances, #gameOver will be called
-        which will return the user to the starting frame of the game
-        via #restart if needed.
-        */
-        if (this.gameOver()) {
-            // this.audioObj.dead.play(); Why doesn't this play before alert?
-            alert(`What a scrub, you only got ${this.score} points`);
-            // this.gameOverScreen(); // need to implement 'pause' on game over
-            this.restart();
+    setupGhost() {
+        const best = this.replays.best(this.game.seed, this.game.mode);
+        if (this.showGhost && best && !this.course && best.gapBonus === this.game.gapBonus) {
+            this.ghost = new ReplayPlayer(best, this.dimensions, this.masks);
+        } else {
+            this.ghost = null;
         }
+    }
+
+    // Leaves the loading screen for the title screen, once the assets have loaded
+    finishLoading() {
+        this.makeMasks();
+        this.setState(STATES.TITLE);
+    }
 
-        // Simple method to increment score whenever a pipe is passed
-        this.level.passedPipe(this.capy.bounds(), () => {
-            this.score++;
+    /*
+    Makes the "mask" hitboxes from the loaded sprites of every character and the pipe images. The
+    masks object is shared with every run, so the run set up behind the loading
+    screen gets them too. Images that couldn't be loaded (or read) leave their
+    fallback hitboxes in place.
+    */
+    makeMasks() {
+        const make = (name) => {
+            const image = this.assets.image(name);
+            return image ? alphaMask(image) : null;
+        };
+        Object.keys(CHARACTERS).forEach((id) => {
+            CHARACTERS[id].frames.forEach((name) => {
+                const mask = this.masks.capy[name] || make(name);
+                if (mask) {
+                    this.masks.capy[name] = mask;
+                }
+            });
         });
+        this.masks.topPipe = make("topPipe");
+        this.masks.bottomPipe = make("bottomPipe");
+    }
 
-        // Display score
-        this.drawScore();
+    // Reads the chosen theme, falling back to changing with the score
+    loadThemeSetting() {
+        const setting = this.storage.load(THEME.SETTING_KEY);
+        return THEMES[setting] ? setting : "auto";
+    }
 
-        /*
-        Unless the game is over, run #animate via callback while
-        binding this Game instance. #requestAnimationFrame will only
-        call #callback according to standard refresh rate, e.g. 60fps
-        */
-        if (this.running) {
-            this.audioObj.start.pause();
-            this.audioObj.gameplay.play();
-            requestAnimationFrame(this.animate.bind(this));
-        }
+    // The theme to draw at a score, from the setting or THEME_SCHEDULE
+    themeFor(score) {
+        return this.themeSetting === "auto" ? scheduledTheme(score) : this.themeSetting;
     }
 
-    animateLevelBackground() {
-        this.level.drawBackground(this.ctx);
-        this.level.animateBackground(this.ctx);
-        if (this.running) {
-            this.capy.moveCapy();
-        }
-        this.capy.drawCapy(this.ctx);
-        requestAnimationFrame(this.animateLevelBackground.bind(this));
+    // Changes the theme setting, fading the level into the new theme straight away
+    setThemeSetting(setting) {
+        this.themeSetting = setting;
+        this.storage.save(THEME.SETTING_KEY, setting);
+        this.levelRenderer.setTheme(this.themeFor(this.game.score));
     }
+
+    // Changes the hitbox types used from the next run on
+    setHitboxTypes(types) {
+        Object.assign(this.hitboxTypes, types);
+        this.resetWaitingRun();
+    }
+
+    // Changes the game mode, and the leaderboard shown with it, from the next run on
+    setMode(mode) {
+        this.mode = mode;
+        this.leaderboard = new Leaderboard(undefined, undefined, mode);
+        this.resetWaitingRun();
+    }
+
     /*
-    Displays the current score of the Game by drawing on the current context
-    and filling in the strings with interpolated values. 
+    Opens the character screen, or moves through the characters on it, forwards
+    or backwards, wrapping around at the ends. The screen opens on the
+    character that's been chosen.
     */
-    drawScore() {
-        const loc = { x: 10, y: 60 };
-        this.ctx.font = "bold 40pt sans-serif";
-        this.ctx.fillStyle = "white";
-        this.ctx.fillText(`Score: ${this.score}`, loc.x, loc.y);
-        this.ctx.strokeStyle = "black";
-        this.ctx.lineWidth = 2;
-        this.ctx.strokeText(`Score: ${this.score}`, loc.x, loc.y);
+    browseCharacters(direction = 0) {
+        const ids = Object.keys(CHARACTERS);
+        const index = ids.indexOf(this.characterChoice || this.character) + direction;
+        this.characterChoice = ids[(index + ids.length) % ids.length];
+        this.characterPreview = new Capy(this.dimensions, { character: this.characterChoice });
+        this.characterPreview.x = 0;
+        this.characterPreview.y = this.characterPreview.prevY = 0;
     }
 
-    // Starts off the game state and runs the initial #animate call
-    play() {
-        this.running = true;
-        this.animate();
+    closeCharacters() {
+        this.characterChoice = null;
+        this.characterPreview = null;
+    }
+
+    // Plays as another character (if it's been unlocked) from the next run on
+    setCharacter(id) {
+        this.unlocks.select(id);
+        this.character = id;
+        this.resetWaitingRun();
+    }
+
+    // Moves through the game modes, forwards or backwards, wrapping around at the ends
+    cycleMode(direction) {
+        const modes = Object.keys(GAME_MODES);
+        const index = modes.indexOf(this.mode) + direction;
+        this.setMode(modes[(index + modes.length) % modes.length]);
     }
 
     /*
-    Whenever the game is over, this method will be invoked to reset
-    game state and create new Level and Capy instances, as well as
-    resetting the score and calling #animate
+    A run that hasn't started yet is set up again on the same seed after a
+    setting changes, so the change shows straight away.
     */
-    restart() {
-        this.audioObj.gameplay.currentTime = 0;
-        this.audioObj.gameplay.pause();
-        this.audioObj.start.currentTime = 0;
-        this.audioObj.start.play();
-        this.running = false;
-        this.level = new Level(this.dimensions);
-        this.capy = new Capy(this.dimensions);
-        // Ensure capysprite is loaded when window first loads
-        // Ensure level animated background elements are loaded when window first loads
-        // Only need to run once
-        if (!this.backgroundRunning) {
-            this.animateLevelBackground();
-            this.backgroundRunning = true;
+    resetWaitingRun() {
+        if (this.state === STATES.TITLE || this.state === STATES.READY) {
+            const state = this.state;
+            this.restart(this.game.seed);
+            this.setState(state);
         }
-        this.score = 0;
-        this.animate();
     }
 
     /*
-    Event handler method that will determine what the keypress will
-    do. #click can take a variable, but is not used in this case.
-    If the game is not running, e.g. first keypress after #gameOver or 
-    page load has not been made, it will #play the game.
-    The capy will #flap per keypress.
-    NOTE: This method isn't actually necessary right now, it can be 
-    incorporated within the callback in #registerEvents
+    Plays a recorded run back. The replay's course is set up the same way
+    as a normal restart, and then the ReplayPlayer's game takes over from it.
     */
+    watchReplay(replay) {
+        this.restart(replay.seed);
+        this.ghost = null;
+        this.replayPlayer = new ReplayPlayer(replay, this.dimensions, this.masks);
+        this.game = this.replayPlayer.game;
+        this.setState(STATES.PLAYING);
+    }
+
     /*
-    click(e) {
-        if (!this.running) {
-            this.play();
+    Starts the demo: a run on a new seed in the current mode, flown by the
+    autopilot through the same flaps a player makes. It has no ghost, and
+    any input goes back to the title screen.
+    */
+    startDemo() {
+        this.restart(SeededRandom.randomSeed());
+        this.ghost = null;
+        this.autopilot = new HeuristicPolicy();
+        this.play();
+    }
+
+    // Plays a course from one of its obstacles, from the ready screen, in the current mode
+    playCourse(course, startAt = 0) {
+        this.course = course;
+        this.courseStart = startAt;
+        this.restart();
+    }
+
+    /*
+    Whatever the input (a key, click, tap or gamepad button), the InputManager
+    passes it here as an action, and what it does depends on the state the
+    game is in:
+    flap - starts, flaps, resumes, and moves past screens
+    confirm - the same as flap, except it never flaps the capy
+    pause - pauses and resumes
+    back - goes back towards the title screen, or ends the run in modes you can't die in
+    left and right - change the game mode on the title screen, or the character on the character screen
+    mute - mutes and unmutes the sound
+    fullscreen - shows the game fullscreen, and goes back to the page
+    debug - shows and hides the hitboxes
+    A click or tap on the sound button, or the title screen's buttons or
+    arrows, presses them instead of flapping. Any other action during the demo
+    goes back to the title screen.
+    */
+    handleAction(action, detail = {}) {
+        // The hitbox overlay, the sound and fullscreen can be toggled at any time
+        if (action === "debug") {
+            this.showHitboxes = !this.showHitboxes;
+            return;
+        }
+        if (action === "fullscreen") {
+            this.viewport.toggleFullscreen();
+            return;
+        }
+        if (action === "mute" ||
+            (detail.x !== undefined && this.showsSoundButton() && this.inButton(detail, this.soundButton()))) {
+            this.audio.toggleMute();
+            return;
+        }
+        switch (this.state) {
+            case STATES.LOADING:
+                // Only reached with assets missing, since otherwise the title screen follows by itself
+                if (this.assets.done() && (action === "flap" || action === "confirm")) {
+                    this.finishLoading();
+                }
+                break;
+            case STATES.TITLE:
+                // Anything done on the title screen puts the demo off
+                this.stateTicks = 0;
+                if (this.showingLeaderboard) {
+                    this.showingLeaderboard = false;
+                } else if (this.characterChoice) {
+                    this.handleCharacterAction(action, detail);
+                } else if (detail.x !== undefined && this.inButton(detail, this.leaderboardButton())) {
+                    this.showingLeaderboard = true;
+                } else if (detail.x !== undefined && this.inButton(detail, this.charactersButton())) {
+                    this.browseCharacters();
+                } else if (action === "left" ||
+                    (detail.x !== undefined && this.inButton(detail, this.arrowButtons().previous))) {
+                    this.cycleMode(-1);
+                } else if (action === "right" ||
+                    (detail.x !== undefined && this.inButton(detail, this.arrowButtons().next))) {
+                    this.cycleMode(1);
+                } else if (action === "flap" || action === "confirm") {
+                    this.setState(STATES.READY);
+                }
+                break;
+            case STATES.READY:
+                if (action === "flap") {
+                    this.play();
+                } else if (action === "back" && this.course) {
+                    this.showTitle();
+                } else if (action === "back") {
+                    this.setState(STATES.TITLE);
+                }
+                break;
+            case STATES.PLAYING:
+                if (this.autopilot) {
+                    this.showTitle();
+                } else if (action === "back" && !this.replayPlayer && !this.game.rules.deadly) {
+                    this.game.end();
+                    this.endRun();
+                } else if (action === "pause" || action === "back") {
+                    this.setState(STATES.PAUSED);
+                } else if (action === "flap" && this.replayPlayer) {
+                    // Clicking during a replay stops watching it
+                    this.showTitle();
+                } else if (action === "flap") {
+                    this.flap();
+                }
+                break;
+            case STATES.PAUSED:
+                if (action === "back") {
+                    this.showTitle();
+                } else {
+                    this.setState(STATES.PLAYING);
+                }
+                break;
+            case STATES.GAME_OVER:
+                if (this.stateTicks < SCREENS.GAME_OVER_DELAY && action === "flap") {
+                    break;
+                }
+                if (this.nameEntry) {
+                    if (action !== "pause") {
+                        this.confirmName();
+                    }
+                } else if (action === "flap" || action === "confirm") {
+                    this.restart();
+                } else if (action === "back") {
+                    this.showTitle();
+                }
+                break;
         }
-        this.capy.flap();
     }
+
+    /*
+    On the character screen, the arrows look through the characters, a click
+    or Enter chooses the one shown (if it's unlocked) and back closes the screen.
     */
+    handleCharacterAction(action, detail) {
+        if (action === "left" || (detail.x !== undefined && this.inButton(detail, this.arrowButtons().previous))) {
+            this.browseCharacters(-1);
+        } else if (action === "right" || (detail.x !== undefined && this.inButton(detail, this.arrowButtons().next))) {
+            this.browseCharacters(1);
+        } else if (action === "back") {
+            this.closeCharacters();
+        } else if ((action === "flap" || action === "confirm") && this.unlocks.isUnlocked(this.characterChoice)) {
+            this.setCharacter(this.characterChoice);
+        }
+    }
+
+    // Whether a point on the canvas is inside one of the buttons drawn on it
+    inButton(point, button) {
+        return point.x >= button.left && point.x <= button.left + button.width &&
+            point.y >= button.top && point.y <= button.top + button.height;
+    }
 
     /*
-    Add event listener to the page, attached to the canvas in this Game instance,
-    listening to a "mousedown" action and having a callback of what #click would do.
+    Keypresses go to the name being typed in while a high score is named,
+    rather than being used as actions.
+    */
+    handleKey(e) {
+        if (this.nameEntry && this.state === STATES.GAME_OVER) {
+            this.typeName(e);
+            return true;
+        }
+        return false;
+    }
 
-    NOTE: #click could be called as an instance variable invoked method, 
-    binding this Game instance to it, and passed into the callback instead, e.g.
-    this.boundClickHandler = this.click.bind(this);
-    this.ctx.canvas.addEventListener("mousedown", this.boundClickHandler);
+    /*
+    Add an event listener to the page being hidden (e.g. switching tabs),
+    which pauses a run in progress.
     */
     registerEvents() {
-        this.ctx.canvas.addEventListener("mousedown", () => {
-            if (!this.running) {
-                this.play();
+        document.addEventListener("visibilitychange", () => {
+            if (document.hidden && this.state === STATES.PLAYING) {
+                this.setState(STATES.PAUSED);
             }
-            this.capy.flap();
         });
-        this.backgroundRunning = false;
     }
 
     /*
-    Returns whether or not the capy has hit one of the pipes or
-    the upper/lower boundaries of the Level
+    Hooks up the replay buttons on the page. The last run can be saved as a
+    JSON file, and any replay file (or the best run in the current mode) can be watched.
+    Racing the best run restarts on its seed, so its ghost is flying the
+    same course.
     */
-    gameOver() {
-        return (this.level.collidesWith(this.capy.bounds()) || this.capy.outOfBounds());
-    }
-
-    // gameOverScreen() {
-    //     this.screenText();
-    // }
-
-    // screenText() {
-    //     let loc = { x: this.dimensions.width / 2, y: this.dimensions.height / 2 };
-    //     this.ctx.font = "50pt serif";
-    //     this.ctx.fillStyle = "white";
-    //     this.ctx.fillText(`Click to start playing Flappy Capybara!`, loc.x, loc.y);
-    //     // this.ctx.strokeStyle = "black";
-    //     // this.ctx.lineWidth = 2;
-    //     // this.ctx.strokeText(`Score: ${this.score}`, loc.x, loc.y);
-    // }
-}
\ No newline at end of file
+    registerReplayControls(controls) {
+        controls.exportLast.addEventListener("click", () => {
+            if (this.lastReplay) {
+                downloadReplay(this.lastReplay);
+            } else {
+                alert("Finish a run first to export it");
+            }
+        });
+
+        controls.watchBest.addEventListener("click", () => {
+            const best = this.replays.bestOverall(this.mode);
+            if (best) {
+                this.watchReplay(best);
+            } else {
+                alert("No runs recorded yet");
+            }
+        });
+
+        controls.raceBest.addEventListener("click", () => {
+            const best = this.replays.bestOverall(this.mode);
+            if (best) {
+                this.course = null;
+                this.restart(best.seed);
+            } else {
+                alert("No runs recorded yet");
+            }
+        });
+
+        controls.importReplay.addEventListener("click", () => {
+            controls.replayFile.click();
+        });
+        controls.replayFile.addEventListener("change", () => {
+            const file = controls.replayFile.files[0];
+            if (!file) {
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    this.watchReplay(Replay.parse(reader.result));
+                } catch (e) {
+                    alert(`Couldn't load replay: ${e.message}`);
+                }
+            };
+            reader.readAsText(file);
+            controls.replayFile.value = "";
+        });
+
+        controls.showGhost.checked = this.showGhost;
+        controls.showGhost.addEventListener("change", () => {
+            this.showGhost = controls.showGhost.checked;
+            if (!this.game.running) {
+                this.setupGhost();
+            }
+        });
+    }
+
+    /*
+    Hooks up the accessibility settings on the page (see
+    registerAccessibilityControls) and the live region the game is read out
+    through. Turning the assist mode on part way through a run still keeps it
+    off the leaderboard, and a run that hasn't started yet is set up again so
+    its gaps are the right size.
+    */
+    registerAccessibility(controls, region) {
+        registerAccessibilityControls(controls, this.accessibility);
+        this.accessibility.onChange(() => {
+            this.assisted = this.assisted || this.accessibility.assisted();
+            this.resetWaitingRun();
+        });
+        this.announcer = new Announcer(region);
+    }
+
+    // Reads a message out to screen readers, once the live region has been hooked up
+    announce(message) {
+        if (this.announcer) {
+            this.announcer.announce(message);
+        }
+    }
+
+    // Hooks up the theme select on the page, which has the same values as themeSetting
+    registerThemeControls(select) {
+        select.value = this.themeSetting;
+        select.addEventListener("change", () => {
+            this.setThemeSetting(select.value);
+        });
+    }
+
+    /*
+    Hooks up the hitbox settings on the page: a select for each of the capy's and
+    the pipes' hitbox types, and a checkbox for the debug overlay. The overlay
+    can also be toggled with the debug key.
+    */
+    registerHitboxControls(controls) {
+        controls.capy.value = this.hitboxTypes.capy;
+        controls.pipe.value = this.hitboxTypes.pipe;
+        controls.capy.addEventListener("change", () => {
+            this.setHitboxTypes({ capy: controls.capy.value });
+        });
+        controls.pipe.addEventListener("change", () => {
+            this.setHitboxTypes({ pipe: controls.pipe.value });
+        });
+
+        controls.show.checked = this.showHitboxes;
+        controls.show.addEventListener("change", () => {
+            this.showHitboxes = controls.show.checked;
+        });
+    }
+}
@@ -0,0 +1,154 @@
+// A hash of constants for the accessibility settings
+const ACCESSIBILITY = {
+    SETTINGS_KEY: "flappy-capy-accessibility",               // Storage key holding the settings
+    REDUCED_MOTION_QUERY: "(prefers-reduced-motion: reduce)", // Media query for the system's reduced motion setting
+    ASSIST_GAP: 40,                                           // Pixels every gap is widened by in the assist mode
+    DEFAULT_SETTINGS: {
+        reducedMotion: "auto",      // "on", "off" or "auto" to follow the system's setting
+        highContrast: false,
+        palette: "standard",        // One of the PALETTES
+        gameSpeed: 1,               // Fraction of full speed the game runs at, below 1 in the assist mode
+        widerGaps: false            // Whether gaps are widened by ASSIST_GAP, for the assist mode
+    }
+};
+
+/*
+The colour palettes the game can be drawn in. Each gives the colours of the
+PICKUPS (by type) in place of their own, and the colours the pipes and the
+capy's outline are drawn in with high contrast on. The colourblind-safe
+palette is taken from the Okabe-Ito palette, whose colours stay apart with
+every common type of colourblindness.
+*/
+const PALETTES = {
+    standard: {
+        name: "Standard",
+        pickups: {},
+        contrastPipe: "white",
+        contrastCapy: "yellow"
+    },
+    colorblind: {
+        name: "Colourblind-safe",
+        pickups: { coin: "#e69f00", shield: "#56b4e9", slowMotion: "#cc79a7", shrink: "#009e73" },
+        contrastPipe: "white",
+        contrastCapy: "#e69f00"
+    }
+};
+
+class AccessibilitySettings {
+    /*
+    Constructor function for the accessibility settings, loaded through a
+    storage adapter so that they stick between visits:
+    reduced motion - stops the background scrolling and the screen shake, flash
+                     and squashing, following the system's setting unless it's set
+    high contrast  - draws the pipes as plain blocks and outlines the capy, over
+                     a darkened background
+    palette        - one of the PALETTES, e.g. colourblind-safe
+    assist mode    - a slower game, wider gaps, or both
+    Listeners are called whenever a setting (or the system's reduced motion
+    setting) changes.
+    */
+    constructor(adapter = new LocalStorageAdapter(), media = window.matchMedia && window.matchMedia(ACCESSIBILITY.REDUCED_MOTION_QUERY)) {
+        this.adapter = adapter;
+        this.settings = Object.assign({}, ACCESSIBILITY.DEFAULT_SETTINGS, adapter.load(ACCESSIBILITY.SETTINGS_KEY));
+        this.listeners = [];
+        this.media = media || null;
+        if (this.media && this.media.addEventListener) {
+            this.media.addEventListener("change", () => this.notify());
+        }
+    }
+
+    reducedMotion() {
+        if (this.settings.reducedMotion === "auto") {
+            return Boolean(this.media && this.media.matches);
+        }
+        return this.settings.reducedMotion === "on";
+    }
+
+    palette() {
+        return PALETTES[this.settings.palette] || PALETTES.standard;
+    }
+
+    // The colour a pickup is drawn in, in the current palette
+    pickupColor(type) {
+        return this.palette().pickups[type] || PICKUPS[type].color;
+    }
+
+    // Pixels every gap is widened by (see GameCore), 0 unless the assist mode widens them
+    gapBonus() {
+        return this.settings.widerGaps ? ACCESSIBILITY.ASSIST_GAP : 0;
+    }
+
+    // Whether any part of the assist mode is on
+    assisted() {
+        return this.settings.gameSpeed < 1 || this.settings.widerGaps;
+    }
+
+    // Changes any of the settings, saving them and letting the listeners know
+    changeSettings(settings) {
+        Object.assign(this.settings, settings);
+        this.adapter.save(ACCESSIBILITY.SETTINGS_KEY, this.settings);
+        this.notify();
+    }
+
+    notify() {
+        this.listeners.forEach((listener) => listener(this.settings));
+    }
+
+    // Calls the listener with the settings whenever they change
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+/*
+Hooks up the accessibility settings on the page: a select each for reduced
+motion, the palette and the game speed, and a checkbox each for high
+contrast and wider gaps.
+*/
+function registerAccessibilityControls(controls, accessibility) {
+    Object.keys(PALETTES).forEach((palette) => {
+        const option = document.createElement("option");
+        option.value = palette;
+        option.textContent = PALETTES[palette].name;
+        controls.palette.appendChild(option);
+    });
+    const show = (settings) => {
+        controls.reducedMotion.value = settings.reducedMotion;
+        controls.highContrast.checked = settings.highContrast;
+        controls.palette.value = settings.palette;
+        controls.gameSpeed.value = String(settings.gameSpeed);
+        controls.widerGaps.checked = settings.widerGaps;
+    };
+    show(accessibility.settings);
+    accessibility.onChange(show);
+
+    controls.reducedMotion.addEventListener("change", () => {
+        accessibility.changeSettings({ reducedMotion: controls.reducedMotion.value });
+    });
+    controls.highContrast.addEventListener("change", () => {
+        accessibility.changeSettings({ highContrast: controls.highContrast.checked });
+    });
+    controls.palette.addEventListener("change", () => {
+        accessibility.changeSettings({ palette: controls.palette.value });
+    });
+    controls.gameSpeed.addEventListener("change", () => {
+        accessibility.changeSettings({ gameSpeed: Number(controls.gameSpeed.value) });
+    });
+    controls.widerGaps.addEventListener("change", () => {
+        accessibility.changeSettings({ widerGaps: controls.widerGaps.checked });
+    });
+}
+
+/*
+Reads what's happening in the game out to screen readers, through an ARIA
+live region on the page, since the canvas itself can't be read.
+*/
+class Announcer {
+    constructor(region) {
+        this.region = region;
+    }
+
+    announce(message) {
+        this.region.textContent = message;
+    }
+}
@@ -0,0 +1,108 @@
+// Every image and sound the game uses, by name, all loaded up front by the AssetManager
+const ASSET_MANIFEST = {
+    images: {
+        background: "assets/images/background-sky-and-grass.png",
+        topPipe: "assets/images/top-pipe.png",
+        bottomPipe: "assets/images/bottom-pipe.png",
+        capyWings1: "assets/images/capy-wings1.png",
+        capyWings2: "assets/images/capy-wings2.png",
+        capyWings3: "assets/images/capy-wings3.png"
+    },
+    audio: {
+        start: "assets/audio/start-screen-music.mp3",
+        gameplay: "assets/audio/gameplay-music-db-adjusted.mp3"
+    }
+};
+
+// A hash of constants for loading assets
+const ASSETS = {
+    AUDIO_TIMEOUT_MS: 5000  // Sounds still loading after this long are streamed instead of waited on
+};
+
+class AssetManager {
+    /*
+    Constructor function that keeps one copy of every asset in the manifest, so
+    they're only ever downloaded and decoded once, rather than every time
+    they're drawn. Nothing is fetched until #load is called.
+    */
+    constructor(manifest = ASSET_MANIFEST) {
+        this.manifest = manifest;
+        this.images = {};
+        this.sounds = {};
+        this.settled = 0;       // Assets that have either loaded or failed
+        this.total = Object.keys(manifest.images).length + Object.keys(manifest.audio).length;
+        this.missing = [];      // Paths of the assets that couldn't be loaded
+    }
+
+    /*
+    Starts loading every asset at once. Each is counted once it has loaded or
+    failed, and failures are kept in missing (and logged) rather than stopping
+    the rest from loading. Some browsers won't load sounds before the page has
+    been interacted with, so sounds are only waited on for AUDIO_TIMEOUT_MS.
+    */
+    load() {
+        Object.keys(this.manifest.images).forEach((name) => {
+            const src = this.manifest.images[name];
+            const image = new Image();
+            image.onload = () => {
+                this.images[name] = image;
+                this.settle();
+            };
+            image.onerror = () => this.fail(src);
+            image.src = src;
+        });
+
+        Object.keys(this.manifest.audio).forEach((name) => {
+            const src = this.manifest.audio[name];
+            const sound = new Audio();
+            let waiting = true;
+            const settle = (failed) => {
+                if (waiting) {
+                    waiting = false;
+                    if (failed) {
+                        this.fail(src);
+                    } else {
+                        this.settle();
+                    }
+                }
+            };
+            sound.addEventListener("canplaythrough", () => settle(false));
+            sound.addEventListener("error", () => settle(true));
+            setTimeout(() => settle(false), ASSETS.AUDIO_TIMEOUT_MS);
+            sound.preload = "auto";
+            sound.src = src;
+            this.sounds[name] = sound;
+        });
+    }
+
+    settle() {
+        this.settled++;
+    }
+
+    fail(src) {
+        this.missing.push(src);
+        this.settle();
+    }
+
+    // Fraction of the assets that have finished loading (or failed), from 0 to 1
+    progress() {
+        return this.total ? this.settled / this.total : 1;
+    }
+
+    done() {
+        return this.settled >= this.total;
+    }
+
+    // The loaded image, or null if it hasn't loaded (or couldn't be)
+    image(name) {
+        return this.images[name] || null;
+    }
+
+    /*
+    The sound, which can be used as soon as loading has started, although a
+    sound that's missing will never play.
+    */
+    sound(name) {
+        return this.sounds[name];
+    }
+}
@@ -0,0 +1,225 @@
+// A hash of constants for the game's sound
+const AUDIO = {
+    SETTINGS_KEY: "flappy-capy-audio", // Storage key holding the mute and volume settings
+    CROSSFADE_TICKS: 30,               // Ticks for one music track to fade into another
+    DEFAULT_SETTINGS: {
+        muted: false,
+        musicVolume: 0.6,              // 0 to 1
+        sfxVolume: 0.8
+    }
+};
+
+/*
+The sound effects, synthesized with the Web Audio API rather than loaded from
+files: a single tone of the given wave, sliding from one frequency (Hz) to
+another over its duration (seconds), at a volume (0 to 1) before the SFX
+volume is applied.
+*/
+const SOUND_EFFECTS = {
+    flap: { wave: "triangle", from: 300, to: 600, duration: 0.1, volume: 0.5 },
+    score: { wave: "square", from: 880, to: 1320, duration: 0.12, volume: 0.25 },
+    hit: { wave: "sawtooth", from: 220, to: 60, duration: 0.15, volume: 0.6 },
+    powerUp: { wave: "sine", from: 440, to: 1760, duration: 0.3, volume: 0.5 },
+    shield: { wave: "square", from: 600, to: 200, duration: 0.25, volume: 0.35 },
+    death: { wave: "triangle", from: 700, to: 120, duration: 0.6, volume: 0.5 }
+};
+
+class AudioManager {
+    /*
+    Constructor function that plays the music tracks (from the AssetManager)
+    and the sound effects, with the mute and volume settings loaded through a
+    storage adapter so that they stick between visits.
+    Browsers won't play sound until the page has been clicked or typed on, so
+    any music that was asked for before then is started on the first input.
+    */
+    constructor(assets, tracks, adapter = new LocalStorageAdapter()) {
+        this.adapter = adapter;
+        this.settings = Object.assign({}, AUDIO.DEFAULT_SETTINGS, adapter.load(AUDIO.SETTINGS_KEY));
+        this.listeners = [];
+
+        // Each track fades towards its target level (0 or 1), and is paused once it reaches 0
+        this.tracks = {};
+        tracks.forEach((name) => {
+            const element = assets.sound(name);
+            element.loop = true;
+            this.tracks[name] = { element, level: 0, target: 0 };
+        });
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        this.context = AudioContext ? new AudioContext() : null;
+        if (this.context) {
+            this.effectsGain = this.context.createGain();
+            this.effectsGain.connect(this.context.destination);
+        }
+        this.applyVolumes();
+        this.registerUnlock();
+    }
+
+    /*
+    Fades the named track in and every other track out. The track carries on
+    from wherever it was paused, unless restart is set.
+    */
+    playMusic(name, { restart = false } = {}) {
+        Object.keys(this.tracks).forEach((other) => {
+            this.tracks[other].target = other === name ? 1 : 0;
+        });
+        const track = this.tracks[name];
+        if (restart) {
+            track.element.currentTime = 0;
+        }
+        if (track.element.paused) {
+            this.start(track);
+        }
+    }
+
+    // Fades every track out, keeping their places for when they're played again
+    pauseMusic() {
+        Object.keys(this.tracks).forEach((name) => {
+            this.tracks[name].target = 0;
+        });
+    }
+
+    // Sends a track back to its beginning, without playing it
+    rewindMusic(name) {
+        this.tracks[name].element.currentTime = 0;
+    }
+
+    /*
+    Starts a track playing. If the browser hasn't allowed sound yet, the track
+    stays at its target and is started by #unlock instead. A track that failed
+    to load is left silent.
+    */
+    start(track) {
+        const playing = track.element.play();
+        if (playing) {
+            playing.catch(() => {});
+        }
+    }
+
+    /*
+    Moves every track one tick further through its fade, called once per game
+    tick. Tracks that have faded out are paused.
+    */
+    update() {
+        const step = 1 / AUDIO.CROSSFADE_TICKS;
+        Object.keys(this.tracks).forEach((name) => {
+            const track = this.tracks[name];
+            if (track.level < track.target) {
+                track.level = Math.min(track.level + step, track.target);
+            } else if (track.level > track.target) {
+                track.level = Math.max(track.level - step, track.target);
+                if (track.level === 0) {
+                    track.element.pause();
+                }
+            }
+        });
+        this.applyVolumes();
+    }
+
+    // Plays one of the SOUND_EFFECTS
+    playEffect(name) {
+        const effect = SOUND_EFFECTS[name];
+        if (!this.context || !effect || this.settings.muted) {
+            return;
+        }
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        oscillator.type = effect.wave;
+        oscillator.frequency.setValueAtTime(effect.from, now);
+        oscillator.frequency.exponentialRampToValueAtTime(effect.to, now + effect.duration);
+        envelope.gain.setValueAtTime(effect.volume, now);
+        envelope.gain.exponentialRampToValueAtTime(0.001, now + effect.duration);
+        oscillator.connect(envelope);
+        envelope.connect(this.effectsGain);
+        oscillator.start(now);
+        oscillator.stop(now + effect.duration);
+    }
+
+    applyVolumes() {
+        const music = this.settings.muted ? 0 : this.settings.musicVolume;
+        Object.keys(this.tracks).forEach((name) => {
+            const track = this.tracks[name];
+            track.element.volume = track.level * music;
+        });
+        if (this.context) {
+            this.effectsGain.gain.value = this.settings.muted ? 0 : this.settings.sfxVolume;
+        }
+    }
+
+    toggleMute() {
+        this.changeSettings({ muted: !this.settings.muted });
+    }
+
+    // Changes any of the settings, saving them and letting the listeners know
+    changeSettings(settings) {
+        Object.assign(this.settings, settings);
+        this.adapter.save(AUDIO.SETTINGS_KEY, this.settings);
+        this.applyVolumes();
+        this.listeners.forEach((listener) => listener(this.settings));
+    }
+
+    // Calls the listener with the settings whenever they change
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /*
+    Sound is allowed from inside a click, tap or keypress, so every one of
+    them tries to start the sound, until it has been started.
+    */
+    registerUnlock() {
+        const unlock = () => {
+            if (this.unlock()) {
+                ["pointerdown", "keydown"].forEach((type) => {
+                    document.removeEventListener(type, unlock, true);
+                });
+            }
+        };
+        ["pointerdown", "keydown"].forEach((type) => {
+            document.addEventListener(type, unlock, true);
+        });
+    }
+
+    /*
+    Resumes the Web Audio context, and starts any track that should be playing
+    but was blocked. Returns whether sound is allowed now.
+    */
+    unlock() {
+        if (this.context && this.context.state === "suspended") {
+            this.context.resume();
+        }
+        Object.keys(this.tracks).forEach((name) => {
+            const track = this.tracks[name];
+            if (track.target > 0 && track.element.paused) {
+                this.start(track);
+            }
+        });
+        return !this.context || this.context.state !== "suspended";
+    }
+}
+
+/*
+Hooks up the sound settings on the page: a checkbox to mute everything, and
+a slider each for the music and sound effects volumes. The controls are kept
+in step when the settings are changed some other way (e.g. the mute key).
+*/
+function registerAudioControls(controls, audio) {
+    const show = (settings) => {
+        controls.mute.checked = settings.muted;
+        controls.music.value = Math.round(settings.musicVolume * 100);
+        controls.sfx.value = Math.round(settings.sfxVolume * 100);
+    };
+    show(audio.settings);
+    audio.onChange(show);
+
+    controls.mute.addEventListener("change", () => {
+        audio.changeSettings({ muted: controls.mute.checked });
+    });
+    controls.music.addEventListener("input", () => {
+        audio.changeSettings({ musicVolume: controls.music.value / 100 });
+    });
+    controls.sfx.addEventListener("input", () => {
+        audio.changeSettings({ sfxVolume: controls.sfx.value / 100 });
+    });
+}
@@ -0,0 +1,65 @@
+// A hash of constants for choosing and unlocking characters
+const CHARACTER_STORAGE = {
+    KEY: "flappy-capy-characters"   // Storage key holding the unlocked characters and the one chosen
+};
+
+class CharacterUnlocks {
+    /*
+    Constructor function that loads which of the CHARACTERS have been unlocked,
+    which one was chosen last and the coins collected over every run, through a
+    storage adapter (localStorage by default). Characters that unlock at a score
+    of 0 are always unlocked.
+    */
+    constructor(adapter = new LocalStorageAdapter()) {
+        this.adapter = adapter;
+        const saved = adapter.load(CHARACTER_STORAGE.KEY) || {};
+        const unlocked = Array.isArray(saved.unlocked) ? saved.unlocked : [];
+        this.unlocked = Object.keys(CHARACTERS).filter((id) => {
+            return CHARACTERS[id].unlockScore === 0 || unlocked.includes(id);
+        });
+        this.selected = this.isUnlocked(saved.selected) ? saved.selected : DEFAULT_CHARACTER;
+        this.coins = Number.isInteger(saved.coins) ? saved.coins : 0;
+    }
+
+    save() {
+        this.adapter.save(CHARACTER_STORAGE.KEY, {
+            unlocked: this.unlocked,
+            selected: this.selected,
+            coins: this.coins
+        });
+    }
+
+    isUnlocked(id) {
+        return this.unlocked.includes(id);
+    }
+
+    /*
+    Adds a run's coins to the total, then unlocks every character whose
+    unlockScore the run has reached or whose unlockCoins the total has, and
+    returns the ones that weren't unlocked before. Only runs the capy could
+    have died in count, so a Zen run can't unlock anything.
+    */
+    record(game) {
+        if (!game.rules.deadly) {
+            return [];
+        }
+        this.coins += game.coins;
+        const unlocked = Object.keys(CHARACTERS).filter((id) => {
+            const character = CHARACTERS[id];
+            return !this.isUnlocked(id) &&
+                (game.score >= character.unlockScore || this.coins >= character.unlockCoins);
+        });
+        this.unlocked = Object.keys(CHARACTERS).filter((id) => this.isUnlocked(id) || unlocked.includes(id));
+        this.save();
+        return unlocked;
+    }
+
+    // Chooses the character to play as, throwing an error if it's still locked
+    select(id) {
+        if (!this.isUnlocked(id)) {
+            throw new Error(`Character is locked: ${id}`);
+        }
+        this.selected = id;
+        this.save();
+    }
+}
@@ -0,0 +1,2346 @@
+/*
+The headless core of the game: the seeded random generator, the Level and Capy
+physics and their hitboxes, a GameCore that steps a whole run forward one
+tick at a time, and replays of recorded runs.
+Nothing in this file touches the DOM, canvas or audio, so it runs the same in
+the browser (loaded before index.js) and in Node, e.g.
+
+    const { simulate } = require('./scripts/core.js');
+    simulate({ seed: 'abc', flaps: [0, 25, 50] }); // => { score, deathTick, ... }
+*/
+
+class SeededRandom {
+    /*
+    Constructor function that turns a seed into the 32 bit state of a small
+    pseudo random number generator (mulberry32). Seeds are kept as strings so
+    that anything typed into the URL can be used, and are hashed down to a
+    number before use. The same seed will always produce the same sequence.
+    */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    // Generates a short random seed string, used when no seed is given
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+    }
+
+    /*
+    FNV-1a hash of the seed string, which spreads similar seeds (e.g. "1" and "2")
+    far apart so their courses don't look alike.
+    */
+    static hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Returns the next number in the sequence, between 0 (inclusive) and 1 (exclusive),
+    // as a drop in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+//---------------------------------------------------------------------//
+
+// Number of straight edges used when an ellipse has to be treated as a polygon
+const ELLIPSE_SEGMENTS = 16;
+
+class Hitbox {
+    /*
+    Hitboxes are POJOs with a type and the dimensions for that type, all in
+    level coordinates. Anything without a type (e.g. the result of Capy#bounds)
+    is treated as a rect, so plain bounds still work wherever a hitbox does.
+    rect - left, top, right and bottom edges
+    ellipse - centre (cx, cy) and the radius along each axis (rx, ry)
+    polygon - a list of {x, y} points, in order around the outside
+    mask - a width x height grid of solid (1) and empty (0) pixels, whose top
+        left corner is at (left, top), e.g. made from a sprite's alpha channel
+    group - a list of shapes that together make up the hitbox
+    */
+    static rect(left, top, right, bottom) {
+        return { type: "rect", left, top, right, bottom };
+    }
+
+    static ellipse(cx, cy, rx, ry) {
+        return { type: "ellipse", cx, cy, rx, ry };
+    }
+
+    static polygon(points) {
+        return { type: "polygon", points };
+    }
+
+    static mask(left, top, width, height, data) {
+        return { type: "mask", left, top, width, height, data };
+    }
+
+    static group(shapes) {
+        return { type: "group", shapes };
+    }
+
+    // Returns a copy of the shape moved by (dx, dy). A mask's pixels are shared, not copied
+    static translate(shape, dx, dy) {
+        switch (shape.type) {
+            case "ellipse":
+                return Hitbox.ellipse(shape.cx + dx, shape.cy + dy, shape.rx, shape.ry);
+            case "polygon":
+                return Hitbox.polygon(shape.points.map((point) => ({ x: point.x + dx, y: point.y + dy })));
+            case "mask":
+                return Hitbox.mask(shape.left + dx, shape.top + dy, shape.width, shape.height, shape.data);
+            case "group":
+                return Hitbox.group(shape.shapes.map((member) => Hitbox.translate(member, dx, dy)));
+            default:
+                return Hitbox.rect(shape.left + dx, shape.top + dy, shape.right + dx, shape.bottom + dy);
+        }
+    }
+
+    /*
+    Returns a copy of the shape scaled by factor around the point (cx, cy).
+    Masks can't be scaled, and are returned as they are.
+    */
+    static scale(shape, factor, cx, cy) {
+        const x = (value) => cx + ((value - cx) * factor);
+        const y = (value) => cy + ((value - cy) * factor);
+        switch (shape.type) {
+            case "ellipse":
+                return Hitbox.ellipse(x(shape.cx), y(shape.cy), shape.rx * factor, shape.ry * factor);
+            case "polygon":
+                return Hitbox.polygon(shape.points.map((point) => ({ x: x(point.x), y: y(point.y) })));
+            case "mask":
+                return shape;
+            case "group":
+                return Hitbox.group(shape.shapes.map((member) => Hitbox.scale(member, factor, cx, cy)));
+            default:
+                return Hitbox.rect(x(shape.left), y(shape.top), x(shape.right), y(shape.bottom));
+        }
+    }
+
+    // The smallest rect that the shape fits inside
+    static bounds(shape) {
+        switch (shape.type) {
+            case "ellipse":
+                return Hitbox.rect(shape.cx - shape.rx, shape.cy - shape.ry, shape.cx + shape.rx, shape.cy + shape.ry);
+            case "polygon": {
+                const xs = shape.points.map((point) => point.x);
+                const ys = shape.points.map((point) => point.y);
+                return Hitbox.rect(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+            }
+            case "mask":
+                return Hitbox.rect(shape.left, shape.top, shape.left + shape.width, shape.top + shape.height);
+            case "group": {
+                const all = shape.shapes.map(Hitbox.bounds);
+                return Hitbox.rect(
+                    Math.min(...all.map((box) => box.left)),
+                    Math.min(...all.map((box) => box.top)),
+                    Math.max(...all.map((box) => box.right)),
+                    Math.max(...all.map((box) => box.bottom))
+                );
+            }
+            default:
+                return Hitbox.rect(shape.left, shape.top, shape.right, shape.bottom);
+        }
+    }
+
+    static containsPoint(shape, x, y) {
+        switch (shape.type) {
+            case "ellipse": {
+                const dx = (x - shape.cx) / shape.rx;
+                const dy = (y - shape.cy) / shape.ry;
+                return (dx * dx) + (dy * dy) <= 1;
+            }
+            case "polygon":
+                return Hitbox.pointInPolygon(shape.points, x, y);
+            case "mask": {
+                const column = Math.floor(x - shape.left);
+                const row = Math.floor(y - shape.top);
+                if (column < 0 || row < 0 || column >= shape.width || row >= shape.height) {
+                    return false;
+                }
+                return Boolean(shape.data[(row * shape.width) + column]);
+            }
+            case "group":
+                return shape.shapes.some((member) => Hitbox.containsPoint(member, x, y));
+            default:
+                return x >= shape.left && x <= shape.right && y >= shape.top && y <= shape.bottom;
+        }
+    }
+
+    /*
+    Returns whether or not two shapes overlap, touching edges included. Every
+    pair is first ruled out cheaply by their bounds, which is the whole test
+    for two rects. Otherwise the pair is reduced to one of a few cases:
+    masks are checked pixel by pixel against the other shape, a rect is
+    treated as a polygon, and an ellipse as a polygon if it meets another
+    ellipse.
+    */
+    static overlaps(a, b) {
+        const boundsA = Hitbox.bounds(a);
+        const boundsB = Hitbox.bounds(b);
+        if (boundsA.left > boundsB.right || boundsA.right < boundsB.left ||
+            boundsA.top > boundsB.bottom || boundsA.bottom < boundsB.top) {
+            return false;
+        }
+
+        if (a.type === "group") {
+            return a.shapes.some((member) => Hitbox.overlaps(member, b));
+        }
+        if (b.type === "group") {
+            return b.shapes.some((member) => Hitbox.overlaps(a, member));
+        }
+        if (a.type === "mask") {
+            return Hitbox.maskOverlaps(a, b);
+        }
+        if (b.type === "mask") {
+            return Hitbox.maskOverlaps(b, a);
+        }
+        if (a.type !== "ellipse" && a.type !== "polygon" && b.type !== "ellipse" && b.type !== "polygon") {
+            return true;
+        }
+        if (a.type === "ellipse" && b.type === "ellipse") {
+            return Hitbox.polygonsOverlap(Hitbox.toPoints(a), Hitbox.toPoints(b));
+        }
+        if (a.type === "ellipse") {
+            return Hitbox.ellipseOverlapsPolygon(a, Hitbox.toPoints(b));
+        }
+        if (b.type === "ellipse") {
+            return Hitbox.ellipseOverlapsPolygon(b, Hitbox.toPoints(a));
+        }
+        return Hitbox.polygonsOverlap(Hitbox.toPoints(a), Hitbox.toPoints(b));
+    }
+
+    // The corners of a rect or polygon (or the outline of an ellipse), for the polygon tests
+    static toPoints(shape) {
+        switch (shape.type) {
+            case "polygon":
+                return shape.points;
+            case "ellipse": {
+                const points = [];
+                for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+                    const angle = (i / ELLIPSE_SEGMENTS) * 2 * Math.PI;
+                    points.push({ x: shape.cx + (shape.rx * Math.cos(angle)), y: shape.cy + (shape.ry * Math.sin(angle)) });
+                }
+                return points;
+            }
+            default:
+                return [
+                    { x: shape.left, y: shape.top },
+                    { x: shape.right, y: shape.top },
+                    { x: shape.right, y: shape.bottom },
+                    { x: shape.left, y: shape.bottom }
+                ];
+        }
+    }
+
+    // Even-odd ray casting, which works for any simple polygon, convex or not
+    static pointInPolygon(points, x, y) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y) / (b.y - a.y)) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /*
+    Two polygons overlap if any of their edges cross, or if one is entirely
+    inside the other (in which case any one of its corners is inside).
+    */
+    static polygonsOverlap(pointsA, pointsB) {
+        for (let i = 0; i < pointsA.length; i++) {
+            const a1 = pointsA[i];
+            const a2 = pointsA[(i + 1) % pointsA.length];
+            for (let j = 0; j < pointsB.length; j++) {
+                if (Hitbox.segmentsCross(a1, a2, pointsB[j], pointsB[(j + 1) % pointsB.length])) {
+                    return true;
+                }
+            }
+        }
+        return Hitbox.pointInPolygon(pointsB, pointsA[0].x, pointsA[0].y) ||
+            Hitbox.pointInPolygon(pointsA, pointsB[0].x, pointsB[0].y);
+    }
+
+    /*
+    Whether two line segments meet, touching included. They cross if each one's
+    ends are on opposite sides of the other, and otherwise only meet if an end
+    of one lies on the other (which covers segments along the same line).
+    */
+    static segmentsCross(p1, p2, q1, q2) {
+        const cross = (o, a, b) => ((a.x - o.x) * (b.y - o.y)) - ((a.y - o.y) * (b.x - o.x));
+        const within = (a, b, point) => point.x >= Math.min(a.x, b.x) && point.x <= Math.max(a.x, b.x) &&
+            point.y >= Math.min(a.y, b.y) && point.y <= Math.max(a.y, b.y);
+        const d1 = cross(q1, q2, p1);
+        const d2 = cross(q1, q2, p2);
+        const d3 = cross(p1, p2, q1);
+        const d4 = cross(p1, p2, q2);
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return true;
+        }
+        return (d1 === 0 && within(q1, q2, p1)) || (d2 === 0 && within(q1, q2, p2)) ||
+            (d3 === 0 && within(p1, p2, q1)) || (d4 === 0 && within(p1, p2, q2));
+    }
+
+    /*
+    Stretching the level so the ellipse becomes a circle of radius 1 at the
+    origin doesn't change whether the shapes overlap, and makes the test simple:
+    either the centre is inside the polygon, or one of its edges comes within 1.
+    */
+    static ellipseOverlapsPolygon(ellipse, points) {
+        const scaled = points.map((point) => ({
+            x: (point.x - ellipse.cx) / ellipse.rx,
+            y: (point.y - ellipse.cy) / ellipse.ry
+        }));
+        if (Hitbox.pointInPolygon(scaled, 0, 0)) {
+            return true;
+        }
+        return scaled.some((a, i) => {
+            const b = scaled[(i + 1) % scaled.length];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSquared = (dx * dx) + (dy * dy);
+            const t = lengthSquared === 0 ? 0 :
+                Math.max(0, Math.min(1, -((a.x * dx) + (a.y * dy)) / lengthSquared));
+            const nearestX = a.x + (t * dx);
+            const nearestY = a.y + (t * dy);
+            return (nearestX * nearestX) + (nearestY * nearestY) <= 1;
+        });
+    }
+
+    // Checks the centre of every solid pixel of the mask (where the bounds overlap) against the other shape
+    static maskOverlaps(mask, other) {
+        const otherBounds = Hitbox.bounds(other);
+        const firstColumn = Math.max(0, Math.floor(otherBounds.left - mask.left));
+        const lastColumn = Math.min(mask.width - 1, Math.ceil(otherBounds.right - mask.left));
+        const firstRow = Math.max(0, Math.floor(otherBounds.top - mask.top));
+        const lastRow = Math.min(mask.height - 1, Math.ceil(otherBounds.bottom - mask.top));
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                if (mask.data[(row * mask.width) + column] &&
+                    Hitbox.containsPoint(other, mask.left + column + 0.5, mask.top + row + 0.5)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+}
+
+// A hash of level constants, the first four being the starting difficulty (see DIFFICULTY_SCHEDULE)
+const CONSTANTS = {
+    HORIZONTAL_PIPE_SPACING: 220, // Space between pipes on x axis
+    PIPE_GAP: 150,                // Space between top and bottom pipes, was 150
+    WARMUP_SECONDS: 1,            // Time between first click and first pipe appearing
+    EDGE_BUFFER: 50,              // Distance between the level bounds and gap extremes
+    PIPE_WIDTH: 50,               // Width of the pipe hitbox
+    PIPE_SPEED: 2,                // Frequency of pipe spawn
+    BACKGROUND_SPEED: 1,
+    TICKS_PER_SECOND: 60,         // Number of physics steps simulated per second
+    MAX_FRAME_TIME: 250,          // Longest gap (ms) between frames that will be simulated
+    WIDTH: 480,                   // Default level dimensions, the logical resolution of the game
+    HEIGHT: 640,
+    PIPE_HITBOX: "shaped",        // Pipe hitbox type: "rect", "shaped" or "mask", see Level#pipeHitbox
+    PIPE_LIP_HEIGHT: 25,          // Height of the wider lip at the gap end of the pipe image
+    PIPE_SHAFT_INSET: 3           // Distance from each side of the lip to the narrower shaft
+};
+
+/*
+The difficulty schedule, as keyframes by score. Between two keyframes each value
+is interpolated, and past the last keyframe the values stay where they are.
+Pipes are built with the values for the score they'll be reached at (the nth
+pipe is reached with a score of n), while the pipe speed follows the current
+score, so the whole course speeds up together.
+    pipeGap         - Space between top and bottom pipes
+    pipeSpeed       - Distance the pipes move each tick
+    spacing         - Average space between pipes on x axis
+    spacingVariance - Furthest the spacing can be from the average, either way
+    edgeBuffer      - Distance between the level bounds and gap extremes
+    maxGapJump      - Furthest a gap can move up or down from the gap before it
+The capy climbs much slower than it falls, so maxGapJump has to shrink as the
+pipes get faster and closer together, or some climbs can't be made in time.
+*/
+const DIFFICULTY_SCHEDULE = [
+    {
+        score: 0,
+        pipeGap: CONSTANTS.PIPE_GAP,
+        pipeSpeed: CONSTANTS.PIPE_SPEED,
+        spacing: CONSTANTS.HORIZONTAL_PIPE_SPACING,
+        spacingVariance: 0,
+        edgeBuffer: CONSTANTS.EDGE_BUFFER,
+        maxGapJump: 270
+    },
+    { score: 10, pipeGap: 140, pipeSpeed: 2.25, spacing: 220, spacingVariance: 20, edgeBuffer: 50, maxGapJump: 240 },
+    { score: 25, pipeGap: 130, pipeSpeed: 2.5, spacing: 210, spacingVariance: 30, edgeBuffer: 50, maxGapJump: 210 },
+    { score: 50, pipeGap: 120, pipeSpeed: 2.85, spacing: 200, spacingVariance: 30, edgeBuffer: 45, maxGapJump: 170 },
+    { score: 100, pipeGap: 110, pipeSpeed: 3.25, spacing: 200, spacingVariance: 30, edgeBuffer: 40, maxGapJump: 150 }
+];
+
+class Difficulty {
+    /*
+    Constructor function that takes a list of keyframes (see DIFFICULTY_SCHEDULE),
+    in any order. Every keyframe needs a score and the same set of values.
+    */
+    constructor(schedule = DIFFICULTY_SCHEDULE) {
+        if (!Array.isArray(schedule) || schedule.length === 0) {
+            throw new Error("A difficulty schedule needs at least one keyframe");
+        }
+        this.keyframes = schedule.slice().sort((a, b) => a.score - b.score);
+    }
+
+    // Returns the values for a score, interpolated between the keyframes either side of it
+    at(score) {
+        const keyframes = this.keyframes;
+        const next = keyframes.findIndex((keyframe) => keyframe.score > score);
+        if (next === 0) {
+            return Object.assign({}, keyframes[0]);
+        }
+        if (next === -1) {
+            return Object.assign({}, keyframes[keyframes.length - 1]);
+        }
+
+        const from = keyframes[next - 1];
+        const to = keyframes[next];
+        const t = (score - from.score) / (to.score - from.score);
+        const values = { score };
+        Object.keys(from).forEach((key) => {
+            if (key !== "score") {
+                values[key] = from[key] + ((to[key] - from[key]) * t);
+            }
+        });
+        return values;
+    }
+}
+
+/*
+The pickups that can be spawned in the gaps between pipes:
+    name     - Shown while its effect lasts
+    label    - Drawn on the pickup
+    color    - The pickup's colour
+    weight   - How often it's spawned, compared to the others
+    duration - Seconds its effect lasts, or 0 for one that's used straight away
+A coin adds score on top of the pipe's (and is counted towards unlocks), a
+shield absorbs the next crash, slow motion slows the pipes to speedScale of
+their speed, and shrink scales the capy's hitbox down to scale of its size.
+*/
+const PICKUPS = {
+    coin: { name: "Coin", label: "$", color: "gold", weight: 6, duration: 0, score: 1 },
+    shield: { name: "Shield", label: "S", color: "deepskyblue", weight: 1, duration: 10 },
+    slowMotion: { name: "Slow motion", label: "~", color: "mediumpurple", weight: 1, duration: 5, speedScale: 0.6 },
+    shrink: { name: "Shrink", label: "-", color: "limegreen", weight: 1, duration: 8, scale: 0.6 }
+};
+
+// A hash of constants for spawning pickups
+const PICKUP = {
+    CHANCE: 0.35,       // Chance of a gap having a pickup in it
+    SIZE: 24,           // Width and height of a pickup's hitbox
+    SHIELD_GRACE: 60    // Ticks after a shield takes a hit that the capy can't crash, to get clear
+};
+
+/*
+The types of obstacle a Level is built from. Every obstacle is a column the
+width of the type, solid apart from its gaps, one of which (the route) is
+always within reach of the route through the obstacle before it:
+    name      - What the obstacle is called
+    width     - Width of the column
+    minScore  - Number of obstacles into the course before the type mixes in
+    weight    - How often it's built once it has mixed in, compared to the others
+pipe      - The original top and bottom pair of pipes, with a fixed gap
+moving    - A pair of pipes whose gap moves up and down by amplitude, once every
+            period seconds
+breathing - A pair of pipes whose gap opens and closes by amplitude at each end,
+            once every period seconds, so it's never more than twice amplitude
+            narrower than the difficulty's gap
+block     - A single block floating above or below the route, with space to fly
+            past it on either side
+double    - A narrow column with two gaps, divider apart, of which either can be
+            flown through
+Which types mix in is also down to the game mode, see GAME_MODES.
+*/
+const OBSTACLE_TYPES = {
+    pipe: { name: "Pipe", width: CONSTANTS.PIPE_WIDTH, minScore: 0, weight: 6 },
+    moving: { name: "Moving pipe", width: CONSTANTS.PIPE_WIDTH, minScore: 15, weight: 2, amplitude: 40, period: 3 },
+    breathing: { name: "Breathing pipe", width: CONSTANTS.PIPE_WIDTH, minScore: 30, weight: 2, amplitude: 15, period: 2.5 },
+    block: { name: "Floating block", width: CONSTANTS.PIPE_WIDTH, minScore: 20, weight: 1, height: 120 },
+    double: { name: "Double gap", width: 30, minScore: 40, weight: 1, divider: 60 }
+};
+
+// The pipes' hitbox types, see Level#pipeHitbox
+const PIPE_HITBOXES = ["rect", "shaped", "mask"];
+
+class Level {
+    /*
+    Constructor function that sets the dimensions of the Level instance, and
+    handles the pipe logic. Pipe spawns will be kept track of in an array (ideally
+    a queue, but JS does not have a queue object natively), where the first pipe
+    will be added after the warmup time passes, and subsequent pipes are added 
+    at a horizontal distance away set by the difficulty schedule.
+    Each "pipe" is an obstacle of one of the OBSTACLE_TYPES, and only the types
+    listed in obstacles are built. If a Course is given, its obstacles are built
+    in place of random ones, starting from the one at startAt.
+    Gap positions are drawn from the SeededRandom instance passed in, so the
+    whole course is determined by its seed.
+    The pipes' hitbox type can be set with pipeHitbox, and "mask" hitboxes need
+    the masks of the top and bottom pipe images (made in the browser).
+    The gaps, spacing and speed follow a Difficulty, which uses
+    DIFFICULTY_SCHEDULE unless another is given.
+    Pickups (see PICKUPS) are only spawned if a pickupRandom is given. They're
+    drawn from a SeededRandom of their own, so that a seed builds the same
+    pipes whether or not there are pickups.
+    Every gap is made gapBonus wider than the difficulty (or course) has it,
+    for the assist mode.
+    */
+    constructor(dimensions, random, {
+        pipeHitbox = CONSTANTS.PIPE_HITBOX,
+        masks = {},
+        difficulty = new Difficulty(),
+        obstacles = Object.keys(OBSTACLE_TYPES),
+        pickupRandom = null,
+        course = null,
+        startAt = 0,
+        gapBonus = 0
+    } = {}) {
+        if (course && !course.obstacles[startAt]) {
+            throw new Error(`Course has no obstacle ${startAt}`);
+        }
+        this.dimensions = dimensions;
+        this.random = random;
+        this.pickupRandom = pickupRandom;
+        this.speedScale = 1;    // Fraction of the difficulty's pipe speed the pipes move at
+        this.tick = 0;          // Ticks the pipes have moved for, which moving gaps are timed by
+        this.distance = 0;      // Distance the pipes have moved, i.e. how far along the course the capy is
+        this.pipeHitboxType = pipeHitbox;
+        this.masks = masks;
+        this.difficulty = difficulty;
+        this.obstacleTypes = obstacles;
+        this.course = course;
+        this.startAt = startAt;
+        this.gapBonus = gapBonus;
+        this.pipesPassed = 0;
+        this.pipesBuilt = startAt;  // Also the index in the course of the next obstacle
+
+        const firstPipeDistance = this.dimensions.width +
+            (CONSTANTS.WARMUP_SECONDS * CONSTANTS.TICKS_PER_SECOND * this.difficulty.at(0).pipeSpeed);
+
+        this.pipes = [this.nextPipe(firstPipeDistance)];
+        this.fillPipes();
+
+        // Distance moved during the last tick, used to interpolate drawing between ticks
+        this.lastPipeShift = 0;
+    }
+
+    /*
+    Logic that moves each pipe across the screen by one tick. Pipe speed comes from
+    the difficulty at the current score (scaled by speedScale), and will be placed
+    in a callback called by #eachPipe. Obstacles with moving gaps move them too.
+    A course played from part way through is as fast as it would be there.
+    #eachPipe is necessary to properly retain 'this' when iterating through the pipes
+    as it will be used for various functions.
+    */
+    movePipes() {
+        const speed = this.pipeSpeed();
+        this.tick++;
+        this.distance += speed;
+        this.eachPipe(function (pipe) {
+            pipe.left -= speed;
+            pipe.right -= speed;
+            this.moveGaps(pipe);
+        });
+        this.lastPipeShift = speed;
+
+        /*
+        Whenever a pipe completely passes out of the dimensions of the canvas
+        it should be shifted from the array. Unfortunately, JS does not
+        have #first and #last methods for array indices. 
+        */
+        if (this.pipes.length > 0 && this.pipes[0].right <= 0) {
+            this.pipes.shift();
+        }
+        this.fillPipes();
+    }
+
+    // Distance the pipes move each tick at the moment
+    pipeSpeed() {
+        return this.difficulty.at(this.startAt + this.pipesPassed).pipeSpeed * this.speedScale;
+    }
+
+    /*
+    Sets the gaps of an obstacle whose gaps move to where they are at the
+    current tick (or another tick). Each follows a sine wave from its own
+    starting phase, so neighbouring obstacles don't move in step.
+    */
+    moveGaps(pipe, tick = this.tick) {
+        const type = OBSTACLE_TYPES[pipe.type];
+        if (!type.period) {
+            return;
+        }
+        const periodTicks = type.period * CONSTANTS.TICKS_PER_SECOND;
+        const shift = Math.sin(pipe.phase + ((2 * Math.PI * tick) / periodTicks)) * pipe.amplitude;
+        const half = pipe.gapSize / 2;
+        switch (pipe.type) {
+            case "moving":
+                pipe.gaps[0] = { top: pipe.middle - half + shift, bottom: pipe.middle + half + shift };
+                break;
+            case "breathing":
+                pipe.gaps[0] = { top: pipe.middle - half - shift, bottom: pipe.middle + half + shift };
+                break;
+        }
+    }
+
+    /*
+    Adds new, randomly generated pairs of pipes until there's one waiting past
+    the right edge of the canvas. Since the spacing changes with difficulty, the
+    number of pipes on screen does too, and checking the last pipe rather than
+    keeping a fixed number of them means a pipe never appears mid-screen.
+    A course stops adding pipes once all of its obstacles have been built.
+    */
+    fillPipes() {
+        let lastPipe = this.pipes[this.pipes.length - 1];
+        while (lastPipe && lastPipe.left <= this.dimensions.width) {
+            lastPipe = this.nextPipe(lastPipe.left, lastPipe);
+            if (lastPipe) {
+                this.pipes.push(lastPipe);
+            }
+        }
+    }
+
+    // Builds the next pipe, from the course if there is one, or null once the course has run out
+    nextPipe(distance, previous) {
+        if (!this.course) {
+            return this.randomPipe(distance, previous);
+        }
+        const obstacle = this.course.obstacles[this.pipesBuilt];
+        if (!obstacle) {
+            return null;
+        }
+        /*
+        Each obstacle is placed its spacing after the one before. The first one
+        played comes in where a random course's first pipe would, with its
+        spacing as a run-up if the course is played from the start.
+        */
+        const left = previous || this.pipesBuilt === 0 ? distance + obstacle.spacing : distance;
+        return this.coursePipe(this.pipesBuilt++, left);
+    }
+
+    /*
+    Builds one of the course's obstacles with its left edge at left, without
+    adding it to the level, so a whole course can also be laid out to be shown.
+    Its gap size is the difficulty's unless the course sets one, and its pickup
+    is only spawned if pickups are (see the constructor).
+    */
+    coursePipe(index, left) {
+        const obstacle = this.course.obstacles[index];
+        const settings = this.settingsAt(index);
+        return this.makePipe(settings, {
+            index,
+            type: obstacle.type,
+            left,
+            middle: obstacle.gap,
+            gapSize: obstacle.gapSize ? obstacle.gapSize + this.gapBonus : settings.pipeGap,
+            phase: obstacle.phase * 2 * Math.PI,
+            pickup: obstacle.pickup && this.pickupRandom ? { type: obstacle.pickup, taken: false } : null,
+            checkpoint: obstacle.checkpoint
+        });
+    }
+
+    // Whether the level is a course, and the capy has passed every one of its obstacles
+    courseComplete() {
+        return Boolean(this.course) && this.pipesBuilt >= this.course.obstacles.length &&
+            this.pipes.every((pipe) => pipe.passed);
+    }
+
+    /*
+    Custom iteration method that binds 'this' to the Level instance
+    instead of allowing it to become something else
+    */
+    eachPipe(callback) {
+        this.pipes.forEach(callback.bind(this));
+    }
+
+    /*
+    The solid parts of an obstacle, being everything in its column that isn't a
+    gap. Each is a rect, with capTop and capBottom set on the ends that face a
+    gap, which is where a pipe has its wider lip.
+    */
+    pieces(pipe) {
+        const pieces = [];
+        let top = 0;
+        pipe.gaps.forEach((gap) => {
+            if (gap.top > top) {
+                pieces.push({ left: pipe.left, right: pipe.right, top, bottom: gap.top, capTop: top > 0, capBottom: true });
+            }
+            top = Math.max(top, gap.bottom);
+        });
+        if (top < this.dimensions.height) {
+            pieces.push({ left: pipe.left, right: pipe.right, top, bottom: this.dimensions.height, capTop: true, capBottom: false });
+        }
+        return pieces;
+    }
+
+    /*
+    Logic that handles the collision with Capy instance. Whenever the hitbox of
+    the Capy instance overlaps the hitbox of a pipe (e.g. colliding with it)
+    the collision instance variable will be set to true, otherwise defaulting to false.
+    The capy's hitbox can be any Hitbox shape, including plain bounds.
+    */
+    collidesWith(capyHitbox) {
+        return Boolean(this.collidingPipe(capyHitbox));
+    }
+
+    /*
+    Returns the obstacle the capy's hitbox is overlapping, or undefined if it
+    isn't touching any, for modes where hitting a pipe isn't the end of the run.
+    Pipes that have already been hit are flown through, so the capy isn't hit by
+    the same pipe twice.
+    */
+    collidingPipe(capyHitbox) {
+        /*
+        An iteration through each pipe to determine if a collision has occured. Since
+        each obstacle is made of one or more solid pieces, every one of them
+        will have to be taken into account when checking for collision.
+        */
+        return this.pipes.find((pipe) => {
+            if (pipe.hit) {
+                return false;
+            }
+            return this.pieces(pipe).some((piece) => Hitbox.overlaps(this.pipeHitbox(piece), capyHitbox));
+        });
+    }
+
+    // The solid piece (see #pieces) of an obstacle that the capy's hitbox is overlapping, or undefined
+    collidingPiece(capyHitbox) {
+        const pipe = this.collidingPipe(capyHitbox);
+        return pipe && this.pieces(pipe).find((piece) => Hitbox.overlaps(this.pipeHitbox(piece), capyHitbox));
+    }
+
+    /*
+    Returns the hitbox of one solid piece of an obstacle (see #pieces), of the
+    level's hitbox type:
+    rect - the whole piece
+    shaped - the narrower shaft plus the wider lip at each end that faces a gap, as drawn
+    mask - the pipe image's own pixels, lined up the way the image is drawn
+    (falling back to shaped until the masks have been made). Only full width
+    pieces with a single lip look like the pipe images, so the rest are shaped.
+    */
+    pipeHitbox(piece) {
+        const fullWidth = piece.right - piece.left === CONSTANTS.PIPE_WIDTH;
+        const isTop = piece.capBottom && !piece.capTop;
+        const isBottom = piece.capTop && !piece.capBottom;
+        const mask = isTop ? this.masks.topPipe : isBottom ? this.masks.bottomPipe : null;
+        if (this.pipeHitboxType === "mask" && mask && fullWidth) {
+            const imageTop = isTop ? piece.bottom - mask.height : piece.top;
+            return Hitbox.translate(mask, piece.left, imageTop);
+        }
+        if (this.pipeHitboxType === "rect") {
+            return Hitbox.rect(piece.left, piece.top, piece.right, piece.bottom);
+        }
+        const shapes = [
+            Hitbox.rect(piece.left + CONSTANTS.PIPE_SHAFT_INSET, piece.top,
+                piece.right - CONSTANTS.PIPE_SHAFT_INSET, piece.bottom)
+        ];
+        const lipHeight = Math.min(CONSTANTS.PIPE_LIP_HEIGHT, piece.bottom - piece.top);
+        if (piece.capTop) {
+            shapes.push(Hitbox.rect(piece.left, piece.top, piece.right, piece.top + lipHeight));
+        }
+        if (piece.capBottom) {
+            shapes.push(Hitbox.rect(piece.left, piece.bottom - lipHeight, piece.right, piece.bottom));
+        }
+        return Hitbox.group(shapes);
+    }
+
+    /*
+    Logic to check whether or not a capy has passed the pipe obstacle.
+    Through the game script, a simple callback that increments the score is passed
+    into this method to be called whenever a pipe is cleared.
+    Note that any pipe within the array can be considered, but since the capy has no
+    horizontal movement relative to the canvas each pipe will only be passed once,
+    so it is okay to iterate through all pipes in the array, every single time
+    the method is being called
+    */
+    passedPipe(capy, callback) {
+        this.eachPipe((pipe) => {
+            if (pipe.right < capy.left) {
+                if (!pipe.passed) {
+                    pipe.passed = true;
+                    this.pipesPassed++;
+                    callback(pipe);
+                }
+            }
+        });
+    }
+
+    // The gap of an obstacle's route as it will be a number of ticks from now, for looking ahead
+    routeAt(pipe, ticks) {
+        const future = Object.assign({}, pipe, { gaps: pipe.gaps.slice() });
+        this.moveGaps(future, this.tick + ticks);
+        return future.gaps[future.route];
+    }
+
+    // The middle of an obstacle's route, wherever its gaps have moved to
+    routeMiddle(pipe) {
+        if (pipe.type === "block") {
+            // A block's route is everything on its side of the block, so the middle it was built around is kept
+            return pipe.middle;
+        }
+        const route = pipe.gaps[pipe.route];
+        return (route.top + route.bottom) / 2;
+    }
+
+    // Where a pipe's pickup is: in the middle of its route
+    pickupPosition(pipe) {
+        return {
+            x: (pipe.left + pipe.right) / 2,
+            y: this.routeMiddle(pipe)
+        };
+    }
+
+    pickupHitbox(pipe) {
+        const position = this.pickupPosition(pipe);
+        const half = PICKUP.SIZE / 2;
+        return Hitbox.rect(position.x - half, position.y - half, position.x + half, position.y + half);
+    }
+
+    /*
+    Picks up every pickup the capy is touching, calling the callback with the
+    type of each. Pickups are checked against the capy's bounds rather than its
+    hitbox, so they're easy to grab.
+    */
+    collectPickups(capy, callback) {
+        this.eachPipe((pipe) => {
+            if (pipe.pickup && !pipe.pickup.taken && Hitbox.overlaps(this.pickupHitbox(pipe), capy)) {
+                pipe.pickup.taken = true;
+                callback(pipe.pickup.type);
+            }
+        });
+    }
+
+    /*
+    Decides whether a new pipe's gap has a pickup in it, and which one, with
+    each type of pickup picked in proportion to its weight.
+    */
+    randomPickup() {
+        if (!this.pickupRandom || this.pickupRandom.next() >= PICKUP.CHANCE) {
+            return null;
+        }
+        return { type: Level.weightedChoice(PICKUPS, Object.keys(PICKUPS), this.pickupRandom), taken: false };
+    }
+
+    /*
+    Picks the type of the next obstacle, from the types the level builds that
+    have mixed in by now, in proportion to their weights. Plain pipes are built
+    until one of the types has mixed in. While only one type can be built,
+    nothing is drawn from the generator, so the start of a course only depends
+    on the gap positions.
+    */
+    randomObstacleType() {
+        const types = this.obstacleTypes.filter((type) => this.pipesBuilt >= OBSTACLE_TYPES[type].minScore);
+        if (types.length <= 1) {
+            return types[0] || "pipe";
+        }
+        return Level.weightedChoice(OBSTACLE_TYPES, types, this.random);
+    }
+
+    // Picks one of the keys of a registry with a weight on each entry, using random
+    static weightedChoice(registry, keys, random) {
+        const totalWeight = keys.reduce((total, key) => total + registry[key].weight, 0);
+        let roll = random.next() * totalWeight;
+        return keys.find((key) => {
+            roll -= registry[key].weight;
+            return roll < 0;
+        }) || keys[keys.length - 1];
+    }
+
+    /*
+    The generator for pipes. The first pipe is placed at the given distance, and every
+    pipe after it is placed the difficulty's spacing (give or take its variance) after
+    the previous pipe, so the spacing can change as the course gets harder.
+    A heightRange variable is set to be within the edge buffers such that the gap will
+    never be at the vertical extremes of the canvas, and it's narrowed further to within
+    maxGapJump of the previous route so that two gaps are never too far apart to clear.
+    Gaps that move are kept far enough from the edges that they stay inside them.
+    Since the gap size is known, only one reference to the gap is needed, in this
+    case the topOfGap is chosen. The positions come from the level's seeded generator
+    rather than Math.random() so that the same seed always builds the same course.
+    The rest of the obstacle is then built around that gap (see #makePipe).
+    */
+    randomPipe(distance, previous) {
+        const settings = this.settingsAt(this.pipesBuilt);
+        const type = this.randomObstacleType();
+        const spacingOffset = ((this.random.next() * 2) - 1) * settings.spacingVariance;
+        const left = previous ? distance + settings.spacing + spacingOffset : distance;
+        const amplitude = OBSTACLE_TYPES[type].amplitude || 0;
+
+        let lowest = settings.edgeBuffer + amplitude;
+        let highest = this.dimensions.height - settings.edgeBuffer - settings.pipeGap - amplitude;
+        if (previous) {
+            // Compares the middles of the gaps, since the gap size can change between them.
+            // Gaps that move take their amplitude off the jump, so they can't move out of reach
+            const previousMiddle = previous.middle;
+            const halfGap = settings.pipeGap / 2;
+            const maxGapJump = Math.max(settings.maxGapJump - amplitude - previous.amplitude, 0);
+            lowest = Math.max(lowest, previousMiddle - maxGapJump - halfGap);
+            highest = Math.min(highest, previousMiddle + maxGapJump - halfGap);
+        }
+        const topOfGap = lowest + (this.random.next() * Math.max(highest - lowest, 0));
+        // Gaps that move each start from their own point in their movement
+        const phase = OBSTACLE_TYPES[type].period ? this.random.next() * 2 * Math.PI : 0;
+
+        return this.makePipe(settings, {
+            index: this.pipesBuilt++,
+            type,
+            left,
+            middle: topOfGap + (settings.pipeGap / 2),
+            gapSize: settings.pipeGap,
+            phase,
+            pickup: this.randomPickup()
+        });
+    }
+
+    // The difficulty's values for the obstacle at an index, with the gap widened by gapBonus
+    settingsAt(index) {
+        const settings = this.difficulty.at(index);
+        settings.pipeGap += this.gapBonus;
+        return settings;
+    }
+
+    // A POJO for an obstacle, with its gaps laid out around the middle of its route
+    makePipe(settings, { index, type, left, middle, gapSize, phase = 0, pickup = null, checkpoint = false }) {
+        const pipe = {
+            index,          // Position in the course, counting from 0
+            type,
+            left: left,
+            right: OBSTACLE_TYPES[type].width + left,
+            middle,
+            gapSize,
+            amplitude: OBSTACLE_TYPES[type].amplitude || 0,
+            phase,
+            gaps: [],
+            route: 0,       // Index of the gap that's always within reach
+            passed: false,
+            hit: false,     // Set when the capy flies into it, in modes where that isn't fatal (or it's shielded)
+            pickup,
+            checkpoint
+        };
+        this.buildGaps(pipe, settings);
+        return pipe;
+    }
+
+    /*
+    Lays out an obstacle's gaps around the middle of its route. Floating blocks
+    and double gaps go on whichever side of the route has more room, so a block
+    never closes the route off and the second gap always fits.
+    */
+    buildGaps(pipe, settings) {
+        const type = OBSTACLE_TYPES[pipe.type];
+        const half = pipe.gapSize / 2;
+        const route = { top: pipe.middle - half, bottom: pipe.middle + half };
+        const below = (this.dimensions.height - route.bottom) > route.top;
+        switch (pipe.type) {
+            case "moving":
+            case "breathing":
+                pipe.gaps = [route];
+                this.moveGaps(pipe);
+                break;
+            case "block":
+                // The block stops at the level bounds, leaving no gap past it
+                if (below) {
+                    const blockBottom = route.bottom + type.height;
+                    pipe.gaps = [{ top: 0, bottom: route.bottom }];
+                    if (blockBottom < this.dimensions.height) {
+                        pipe.gaps.push({ top: blockBottom, bottom: this.dimensions.height });
+                    }
+                } else {
+                    const blockTop = route.top - type.height;
+                    pipe.gaps = [{ top: route.top, bottom: this.dimensions.height }];
+                    if (blockTop > 0) {
+                        pipe.gaps.unshift({ top: 0, bottom: blockTop });
+                        pipe.route = 1;
+                    }
+                }
+                break;
+            case "double": {
+                const edge = settings.edgeBuffer;
+                if (below) {
+                    const top = route.bottom + type.divider;
+                    pipe.gaps = [route, { top, bottom: Math.min(top + pipe.gapSize, this.dimensions.height - edge) }];
+                } else {
+                    const bottom = route.top - type.divider;
+                    pipe.gaps = [{ top: Math.max(bottom - pipe.gapSize, edge), bottom }, route];
+                    pipe.route = 1;
+                }
+                break;
+            }
+            default:
+                pipe.gaps = [route];
+                break;
+        }
+    }
+}
+
+// The version of the course format, bumped whenever old courses would be built differently
+const COURSE_VERSION = 1;
+
+/*
+A hand-made course, played by a Level in place of its random pipes. It's a
+name and the obstacles in the order they're flown through, each being:
+    type       - One of the OBSTACLE_TYPES
+    spacing    - Distance from the left of the obstacle before it. The first
+                 obstacle's spacing is the run-up before it
+    gap        - Height of the middle of its route (see Level#routeMiddle)
+    gapSize    - Height of its route, or null for the difficulty's gap there
+    phase      - How far through its movement a moving gap starts, from 0 to 1
+    pickup     - One of the PICKUPS to put in its route, or null for none
+    checkpoint - Whether a run that gets past it can be played again from it
+*/
+class Course {
+    constructor({ name = "Untitled course", obstacles = [] } = {}) {
+        this.name = String(name);
+        this.obstacles = obstacles.map((obstacle) => Course.obstacle(obstacle));
+    }
+
+    // Fills in the optional values of an obstacle
+    static obstacle({ type, spacing, gap, gapSize = null, phase = 0, pickup = null, checkpoint = false }) {
+        return { type, spacing, gap, gapSize, phase, pickup, checkpoint: Boolean(checkpoint) };
+    }
+
+    /*
+    The lowest and highest the gap of an obstacle can be set to, so its route
+    stays inside a level of the given height however far it moves. Obstacles
+    without a gap size are allowed for the widest gap the difficulty has.
+    */
+    static gapRange({ type, gapSize }, height = CONSTANTS.HEIGHT) {
+        const reach = ((gapSize || CONSTANTS.PIPE_GAP) / 2) + (OBSTACLE_TYPES[type].amplitude || 0);
+        return { min: reach, max: height - reach };
+    }
+
+    /*
+    Reads a course from the JSON made by #toJSON, throwing an error if it isn't
+    a course this version of the game can build.
+    */
+    static parse(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || data.version !== COURSE_VERSION) {
+            throw new Error("Unsupported course version");
+        }
+        if (!Array.isArray(data.obstacles) || data.obstacles.length === 0) {
+            throw new Error("A course needs at least one obstacle");
+        }
+        const isNumber = (value) => typeof value === "number" && isFinite(value);
+        data.obstacles.forEach((obstacle, i) => {
+            if (!obstacle || !OBSTACLE_TYPES[obstacle.type]) {
+                throw new Error(`Obstacle ${i} is of an unknown type: ${obstacle && obstacle.type}`);
+            }
+            if (!isNumber(obstacle.spacing) || obstacle.spacing < 0 || !isNumber(obstacle.gap)) {
+                throw new Error(`Obstacle ${i} is missing its spacing or gap`);
+            }
+            if (obstacle.gapSize != null && !(isNumber(obstacle.gapSize) && obstacle.gapSize > 0)) {
+                throw new Error(`Obstacle ${i} has an invalid gap size`);
+            }
+            const range = Course.gapRange(obstacle);
+            if (obstacle.gap < range.min || obstacle.gap > range.max) {
+                throw new Error(`Obstacle ${i} has its gap outside the level`);
+            }
+            if (obstacle.phase != null && !(isNumber(obstacle.phase) && obstacle.phase >= 0 && obstacle.phase <= 1)) {
+                throw new Error(`Obstacle ${i} has an invalid phase`);
+            }
+            if (obstacle.pickup != null && !PICKUPS[obstacle.pickup]) {
+                throw new Error(`Obstacle ${i} has an unknown pickup: ${obstacle.pickup}`);
+            }
+        });
+        return new Course(data);
+    }
+
+    toJSON() {
+        return {
+            version: COURSE_VERSION,
+            name: this.name,
+            obstacles: this.obstacles
+        };
+    }
+}
+
+//---------------------------------------------------------------------//
+
+// A hash of constants that can be changed based on capy sprite hitbox
+// and other properties
+const CONST = {
+    CAPY_WIDTH: 45,  // Width of capy hitbox DEFAULT 50
+    CAPY_HEIGHT: 33, // Height of capy hitbox DEFAULT 38
+    GRAVITY: 0.4,    // 'Acceleration' value representing gravity
+    FLAP_SPEED: 7.5,   // 'Acceleration' value of a #flap DEFAULT 8
+    TERMINAL_VEL: 12, // Maximum velocity the capy can reach
+    ANIMATED_FLAP_SPEED: 5, // Ticks each wing frame is shown for
+    HITBOX: "ellipse" // Capy hitbox type: "rect", "ellipse", "polygon" or "mask", see Capy#hitbox
+};
+
+/*
+The shapes the capy's hitbox can take, relative to the top left corner of its
+50 x 38 sprite. The ellipse covers the body, leaving out the tips of the head and
+feet, while the polygon traces the outline of the sprite, head included.
+"mask" hitboxes are made from the sprite images themselves, one per wing frame.
+*/
+const CAPY_HITBOXES = {
+    rect: Hitbox.rect(0, 0, CONST.CAPY_WIDTH, CONST.CAPY_HEIGHT),
+    ellipse: Hitbox.ellipse(23, 21, 21, 14),
+    polygon: Hitbox.polygon([
+        { x: 0, y: 20 }, { x: 8, y: 10 }, { x: 30, y: 8 }, { x: 35, y: 1 },
+        { x: 39, y: 0 }, { x: 47, y: 5 }, { x: 49, y: 9 }, { x: 49, y: 11 },
+        { x: 42, y: 13 }, { x: 38, y: 18 }, { x: 34, y: 27 }, { x: 34, y: 37 },
+        { x: 6, y: 37 }, { x: 6, y: 28 }, { x: 0, y: 22 }
+    ])
+};
+
+/*
+The characters the capy can be played as:
+    name        - Shown when choosing a character
+    description - A line about how the character plays
+    frames      - Names of the sprite images (see ASSET_MANIFEST), one per wing frame
+    cycle       - Order the wing frames are shown in, as indexes into frames
+    frameTicks  - Ticks each step of the cycle is shown for
+    tint        - Colour drawn over the sprites, or null to draw them as they are
+    hitboxes    - Shapes to use in place of the CAPY_HITBOXES of the same types
+    physics     - Values from CONST to change for the capy. A game mode's physics
+                  are applied after them, so the mode's rules always hold
+    unlockScore - Score a single run has to reach to unlock the character, 0 for
+                  one that's there from the start
+    unlockCoins - Coins (see PICKUPS) that unlock the character once that many
+                  have been collected over every run
+*/
+const CHARACTERS = {
+    capy: {
+        name: "Capybara",
+        description: "The original",
+        frames: ["capyWings1", "capyWings2", "capyWings3"],
+        cycle: [0, 1, 2, 1],
+        frameTicks: CONST.ANIMATED_FLAP_SPEED,
+        tint: null,
+        hitboxes: {},
+        physics: {},
+        unlockScore: 0,
+        unlockCoins: 0
+    },
+    chonk: {
+        name: "Chonky Capy",
+        description: "Heavier, with a big flap to make up for it",
+        frames: ["capyWings1", "capyWings2", "capyWings3"],
+        cycle: [0, 1, 2, 1],
+        frameTicks: 7,
+        tint: "rgba(90, 50, 20, 0.35)",
+        hitboxes: { ellipse: Hitbox.ellipse(23, 21, 22, 15) },
+        physics: { GRAVITY: 0.45, FLAP_SPEED: 8 },
+        unlockScore: 10,
+        unlockCoins: 30
+    },
+    zippy: {
+        name: "Zippy Capy",
+        description: "Light and flappy, with short hops",
+        frames: ["capyWings1", "capyWings2", "capyWings3"],
+        cycle: [0, 1, 2, 1],
+        frameTicks: 3,
+        tint: "rgba(80, 160, 255, 0.35)",
+        hitboxes: { ellipse: Hitbox.ellipse(23, 21, 20, 13) },
+        physics: { GRAVITY: 0.35, FLAP_SPEED: 6.8, TERMINAL_VEL: 10 },
+        unlockScore: 25,
+        unlockCoins: 75
+    },
+    golden: {
+        name: "Golden Capy",
+        description: "Plays like the original, but shinier",
+        frames: ["capyWings1", "capyWings2", "capyWings3"],
+        cycle: [0, 1, 2, 1, 0, 1, 2, 1, 0, 0],
+        frameTicks: CONST.ANIMATED_FLAP_SPEED,
+        tint: "rgba(255, 200, 0, 0.5)",
+        hitboxes: {},
+        physics: {},
+        unlockScore: 50,
+        unlockCoins: 150
+    }
+};
+
+// The character played unless another is chosen
+const DEFAULT_CHARACTER = "capy";
+
+class Capy {
+    /*
+    Constructor function that sets the appropriate dimensions of the canvas,
+    as well as the position of the capy relative to the canvas. The velocity
+    is initialized to be 0 to indicate the stopped value.
+    The capy is drawn and flies as one of the CHARACTERS.
+    The hitbox type can be set with hitbox, and "mask" hitboxes need a mask
+    for each of the character's sprites, by name (made in the browser).
+    Any of the values in CONST can be changed for this capy with physics,
+    e.g. { GRAVITY: 0.5 } for a heavier capy, on top of the character's own.
+    */
+    constructor(dimensions, {
+        character = DEFAULT_CHARACTER,
+        hitbox = CONST.HITBOX,
+        masks = {},
+        physics = {}
+    } = {}) {
+        this.dimensions = dimensions;
+        this.x = dimensions.width / 3;
+        this.y = dimensions.height / 2;
+        this.prevY = this.y; // Position at the previous tick, for interpolated drawing
+        this.vel = 0;
+        this.wingTick = 0;
+        this.ticksSinceFlap = null; // Null until the capy first flaps, for drawing the flap
+        this.scale = 1;             // Size of the capy's hitbox, shrunk by the shrink pickup
+        this.character = CHARACTERS[character];
+        this.hitboxType = hitbox;
+        this.hitboxes = Object.assign({}, CAPY_HITBOXES, this.character.hitboxes);
+        this.masks = masks;
+        this.physics = Object.assign({}, CONST, this.character.physics, physics);
+    }
+
+    /*
+    Advances the wing flapping animation by one tick. The wing frame is part of
+    the capy (rather than only being drawn) since a mask hitbox changes with it.
+    Each #flap beats the wings through the character's cycle once, after which
+    they rest until the next flap. With loop set, the wings beat on their own
+    instead, e.g. while the capy hovers before a run.
+    */
+    flapWings(loop = false) {
+        const cycleTicks = this.character.frameTicks * this.character.cycle.length;
+        if (this.wingTick <= cycleTicks) {
+            this.wingTick++;
+        }
+        if (loop && this.wingTick > cycleTicks) {
+            this.wingTick = 1;
+        }
+    }
+
+    /*
+    Index of the current wing frame in the character's frames, following its
+    cycle (for the original capy, the sprites 1, 2, 3, 2), and resting on the
+    first frame of the cycle once it's over
+    */
+    spriteFrame() {
+        const cycle = this.character.cycle;
+        const step = Math.max(Math.ceil(this.wingTick / this.character.frameTicks) - 1, 0);
+        return step < cycle.length ? cycle[step] : cycle[0];
+    }
+
+    // Name of the sprite image for the current wing frame
+    sprite() {
+        return this.character.frames[this.spriteFrame()];
+    }
+
+    /*
+    Capy is adjusted according to y position based on current velocity, and the 
+    effects of gravity is added to the velocity for the next update in position.
+    This is called once per tick, and the previous position is kept for drawing.
+    The capy's tilt follows from its velocity, and is only worked out when it's
+    drawn (see CapyRenderer#pose), since it never changes the hitbox.
+    */
+    moveCapy() {
+        this.prevY = this.y;
+        if (this.ticksSinceFlap !== null) {
+            this.ticksSinceFlap++;
+        }
+        this.y += this.vel;
+        this.vel += this.physics.GRAVITY;
+
+
+        /*
+        Logic to determine whether or not to reset the velocity to the terminal
+        velocity. Though switch case is not necessary, it is an alternative to 
+        if comments, and I prefer the clarity of switch cases.
+        */
+        if (Math.abs(this.vel) > this.physics.TERMINAL_VEL) {
+            switch (this.vel > 0) {
+                case true:
+                    this.vel = this.physics.TERMINAL_VEL;
+                    break;
+                case false:
+                    this.vel = this.physics.TERMINAL_VEL * -1;
+                    break;
+            }
+        }
+    }
+
+    // Simple method that is called whenever there is an appropriate keypress, 
+    // and increments the velocity by the FLAP_SPEED, beating the wings once
+    flap() {
+        this.vel = this.physics.FLAP_SPEED * -1;
+        this.wingTick = 0;
+        this.ticksSinceFlap = 0;
+    }
+
+    /*
+    Method that returns a POJO containing the rectangle around the capy, for use
+    when determining if the capy has passed one of the pipes. 
+    */
+    bounds() {
+        return {
+            left: this.x,
+            right: this.x + CONST.CAPY_WIDTH,
+            top: this.y,
+            bottom: this.y + CONST.CAPY_HEIGHT
+        };
+    }
+
+    /*
+    Returns the capy's hitbox where it currently is, for use when determining if
+    the capy has hit out of bounds, or one of the pipes. Any of the CAPY_HITBOXES
+    (or the character's own shape of that type) can be used, or a mask of the
+    current wing frame, which falls back to the ellipse until the masks have
+    been made. A shrunk capy's hitbox is scaled around its middle, and since
+    masks can't be scaled, it uses the ellipse too.
+    */
+    hitbox() {
+        const mask = this.masks[this.sprite()];
+        if (this.hitboxType === "mask" && mask && this.scale === 1) {
+            return Hitbox.translate(mask, this.x, this.y);
+        }
+        let shape = this.hitboxType === "mask" ? this.hitboxes.ellipse :
+            this.hitboxes[this.hitboxType] || this.hitboxes.ellipse;
+        if (this.scale !== 1) {
+            shape = Hitbox.scale(shape, this.scale, CONST.CAPY_WIDTH / 2, CONST.CAPY_HEIGHT / 2);
+        }
+        return Hitbox.translate(shape, this.x, this.y);
+    }
+
+    /*
+    Logic that handles the testing of if the capy has hit the upper and lower bounds of
+    the canvas, as given by the dimensions passed into the constructor.
+    */
+    outOfBounds() {
+        const box = Hitbox.bounds(this.hitbox());
+        const aboveTop = box.top < 0;
+        const belowBottom = box.bottom > this.dimensions.height;
+        return aboveTop || belowBottom;
+    }
+
+    /*
+    Stops the capy at the upper and lower bounds of the level instead, for modes
+    where leaving them isn't the end of the run.
+    */
+    keepInBounds() {
+        const box = Hitbox.bounds(this.hitbox());
+        if (box.top < 0) {
+            this.y -= box.top;
+            this.vel = 0;
+        } else if (box.bottom > this.dimensions.height) {
+            this.y -= box.bottom - this.dimensions.height;
+            this.vel = 0;
+        }
+    }
+}
+
+//---------------------------------------------------------------------//
+
+/*
+The game modes, each being a set of rules for GameCore:
+    name        - Shown when choosing a mode
+    description - A line explaining the mode
+    deadly      - Whether hitting a pipe or the level bounds ends the run. Otherwise
+                  the capy is kept inside the level, and pipes it hits don't score
+    timeLimit   - Seconds until the run ends on its own, or 0 for no limit
+    pickups     - Whether pickups (see PICKUPS) are spawned in the gaps
+    obstacles   - The OBSTACLE_TYPES the course is built from
+    physics     - Values from CONST to change for the capy
+    difficulty  - The schedule the pipes are built with, see DIFFICULTY_SCHEDULE
+*/
+const GAME_MODES = {
+    classic: {
+        name: "Classic",
+        description: "One hit and it's over",
+        deadly: true,
+        timeLimit: 0,
+        pickups: true,
+        obstacles: Object.keys(OBSTACLE_TYPES),
+        physics: {},
+        difficulty: DIFFICULTY_SCHEDULE
+    },
+    zen: {
+        name: "Zen",
+        description: "Nothing can hurt you, press Esc to end the run",
+        deadly: false,
+        timeLimit: 0,
+        pickups: true,
+        obstacles: Object.keys(OBSTACLE_TYPES),
+        physics: {},
+        difficulty: DIFFICULTY_SCHEDULE
+    },
+    timeAttack: {
+        name: "Time Attack",
+        description: "Pass as many pipes as you can in 60 seconds",
+        deadly: true,
+        timeLimit: 60,
+        pickups: true,
+        // Only obstacles that can be flown through without waiting for a gap to open
+        obstacles: ["pipe", "moving", "block", "double"],
+        physics: {},
+        difficulty: DIFFICULTY_SCHEDULE
+    },
+    hardcore: {
+        name: "Hardcore",
+        description: "Narrow gaps, heavier gravity and no pickups",
+        deadly: true,
+        timeLimit: 0,
+        pickups: false,
+        obstacles: Object.keys(OBSTACLE_TYPES),
+        physics: { GRAVITY: 0.5, TERMINAL_VEL: 13 },
+        // The capy can't climb as fast, so the gaps can't jump as far either
+        difficulty: DIFFICULTY_SCHEDULE.map((keyframe) => Object.assign({}, keyframe, {
+            pipeGap: keyframe.pipeGap - 20,
+            maxGapJump: keyframe.maxGapJump - 30
+        }))
+    }
+};
+
+// The mode played unless another is chosen
+const DEFAULT_MODE = "classic";
+
+class GameCore {
+    /*
+    Constructor function that holds the whole state of a single run: the seeded
+    Level, the Capy, the score and the number of ticks simulated so far. Nothing
+    moves until the run is started (by #start or the first #flap), which mirrors
+    the game waiting for the first click.
+    Every flap is recorded against the tick it happened on, which together with
+    the seed (and hitbox types) is all that's needed to replay the run.
+    The hitbox types can be set with capyHitbox and pipeHitbox, along with the
+    masks made from the sprites for "mask" hitboxes: { capy, topPipe, bottomPipe },
+    where capy holds a mask for each capy sprite, by name.
+    The capy is flown as one of the CHARACTERS. The mode is one of GAME_MODES,
+    which sets the capy's physics, how the pipes are built and how the run ends.
+    difficulty is a schedule of keyframes, in the same form as
+    DIFFICULTY_SCHEDULE, to use in place of the mode's.
+    A Course can be played in place of the seed's random pipes, from its
+    startAt obstacle, and the run is over once every obstacle has been passed.
+    gapBonus widens every gap by that many pixels, for the assist mode.
+    pickups turns the mode's pickups on or off, e.g. to search a course without
+    them (see #searchCourse).
+    */
+    constructor(seed, dimensions = { width: CONSTANTS.WIDTH, height: CONSTANTS.HEIGHT }, {
+        capyHitbox = CONST.HITBOX,
+        pipeHitbox = CONSTANTS.PIPE_HITBOX,
+        masks = {},
+        mode = DEFAULT_MODE,
+        character = DEFAULT_CHARACTER,
+        difficulty,
+        course = null,
+        startAt = 0,
+        gapBonus = 0,
+        pickups = null
+    } = {}) {
+        if (!GAME_MODES[mode]) {
+            throw new Error(`Unknown game mode: ${mode}`);
+        }
+        if (!CHARACTERS[character]) {
+            throw new Error(`Unknown character: ${character}`);
+        }
+        this.seed = String(seed);
+        this.dimensions = dimensions;
+        this.hitboxes = { capy: capyHitbox, pipe: pipeHitbox };
+        this.mode = mode;
+        this.character = character;
+        this.course = course;
+        this.startAt = startAt;
+        this.gapBonus = gapBonus;
+        this.rules = GAME_MODES[mode];
+        this.pickups = pickups === null ? this.rules.pickups : pickups;
+        this.level = new Level(dimensions, new SeededRandom(this.seed), {
+            pipeHitbox,
+            masks,
+            difficulty: new Difficulty(difficulty || this.rules.difficulty),
+            obstacles: this.rules.obstacles,
+            pickupRandom: this.pickups ? new SeededRandom(`${this.seed}:pickups`) : null,
+            course,
+            startAt,
+            gapBonus
+        });
+        this.capy = new Capy(dimensions, {
+            character,
+            hitbox: capyHitbox,
+            masks: masks.capy,
+            physics: this.rules.physics
+        });
+        this.score = 0;
+        this.tick = 0;
+        this.timeLimit = this.rules.timeLimit * CONSTANTS.TICKS_PER_SECOND; // In ticks, 0 for none
+        this.running = false;
+        this.over = false;
+        this.endReason = null;  // Why the run ended: "crash", "time", "quit" or "complete"
+        this.dead = false;
+        this.deathTick = null;
+        this.flaps = [];
+        this.coins = 0;
+        this.collected = [];    // Types of the pickups collected, in order
+        this.effects = {};      // Ticks left of each pickup effect in play, by type
+        this.shieldsUsed = 0;   // Crashes absorbed by a shield
+        this.graceTicks = 0;    // Ticks left that the capy can't crash, after a shield is used
+        this.checkpoint = null; // Index of the last checkpoint of the course passed
+        this.crash = null;      // What the capy died on and where, see #crashReport
+    }
+
+    /*
+    Starts the run. The wing animation restarts with it, so that a mask hitbox
+    is on the same frame at the same tick every time the run is played.
+    */
+    start() {
+        if (!this.running) {
+            this.running = true;
+            this.capy.wingTick = 0;
+        }
+    }
+
+    // Flaps the capy, starting the run if this is the first flap
+    flap() {
+        if (this.over) {
+            return;
+        }
+        if (!this.running) {
+            this.start();
+        }
+        this.flaps.push(this.tick);
+        this.capy.flap();
+    }
+
+    /*
+    Advances the run by exactly one tick: the pipes and capy move, the capy
+    picks up any pickups it touches, is checked against the pipes and level
+    bounds, and the score is incremented for every pipe passed. In deadly modes,
+    hitting anything kills the capy (unless it has a shield), and the tick it
+    died on is kept in deathTick. Otherwise the capy is kept in the level, and
+    the pipes it flies into are marked so that they don't score.
+    Once the run is over (by dying, running out of time, finishing the course
+    or #end) it stops stepping.
+    Returns whether or not the run is still going.
+    */
+    step() {
+        if (!this.running || this.over) {
+            return !this.over;
+        }
+        this.tick++;
+        this.level.movePipes();
+        this.capy.moveCapy();
+        this.capy.flapWings();
+        this.level.collectPickups(this.capy.bounds(), (type) => this.collect(type));
+
+        if (this.rules.deadly) {
+            if (this.gameOver() && (this.effects.shield || this.graceTicks > 0)) {
+                this.absorbCrash();
+            } else if (this.gameOver()) {
+                this.dead = true;
+                this.deathTick = this.tick;
+                this.crash = this.crashReport();
+                this.end("crash");
+                return false;
+            }
+        } else {
+            this.capy.keepInBounds();
+            const hitPipe = this.level.collidingPipe(this.capy.hitbox());
+            if (hitPipe) {
+                hitPipe.hit = true;
+            }
+        }
+
+        // Simple method to increment score whenever a pipe is passed cleanly
+        this.level.passedPipe(this.capy.bounds(), (pipe) => {
+            if (!pipe.hit) {
+                this.score++;
+            }
+            if (pipe.checkpoint) {
+                this.checkpoint = pipe.index;
+            }
+        });
+
+        this.wearOffEffects();
+        if (this.level.courseComplete()) {
+            this.end("complete");
+            return false;
+        }
+        if (this.timeLimit && this.tick >= this.timeLimit) {
+            this.end("time");
+            return false;
+        }
+        return true;
+    }
+
+    /*
+    Uses up a pickup. A coin is counted and scored straight away, while every
+    other pickup starts (or restarts) its effect for its duration.
+    */
+    collect(type) {
+        const pickup = PICKUPS[type];
+        this.collected.push(type);
+        switch (type) {
+            case "coin":
+                this.coins++;
+                this.score += pickup.score;
+                break;
+            default:
+                this.effects[type] = pickup.duration * CONSTANTS.TICKS_PER_SECOND;
+                break;
+        }
+        this.applyEffects();
+    }
+
+    /*
+    The shield takes the hit instead of the capy: the pipe it hit is marked so
+    the capy can fly out of it (without scoring it), and a capy that hit the
+    level bounds is stopped at them. The shield is used up, and anything else
+    hit in the SHIELD_GRACE ticks after is absorbed the same way.
+    */
+    absorbCrash() {
+        const pipe = this.level.collidingPipe(this.capy.hitbox());
+        if (pipe) {
+            pipe.hit = true;
+        }
+        this.capy.keepInBounds();
+        if (this.effects.shield) {
+            delete this.effects.shield;
+            this.shieldsUsed++;
+            this.graceTicks = PICKUP.SHIELD_GRACE;
+        }
+    }
+
+    // Counts down every effect in play, ending the ones that have run out
+    wearOffEffects() {
+        this.graceTicks = Math.max(this.graceTicks - 1, 0);
+        Object.keys(this.effects).forEach((type) => {
+            this.effects[type]--;
+            if (this.effects[type] <= 0) {
+                delete this.effects[type];
+            }
+        });
+        this.applyEffects();
+    }
+
+    // Sets the pipes' speed and the capy's size from the effects in play
+    applyEffects() {
+        this.level.speedScale = this.effects.slowMotion ? PICKUPS.slowMotion.speedScale : 1;
+        this.capy.scale = this.effects.shrink ? PICKUPS.shrink.scale : 1;
+    }
+
+    // Seconds left of a pickup's effect, or 0 if it isn't in play
+    effectTimeLeft(type) {
+        return (this.effects[type] || 0) / CONSTANTS.TICKS_PER_SECOND;
+    }
+
+    // Ends the run, e.g. when the player chooses to stop a Zen run
+    end(reason = "quit") {
+        if (!this.over) {
+            this.over = true;
+            this.endReason = reason;
+        }
+    }
+
+    // Seconds left before the run runs out of time, or null if it has no time limit
+    timeLeft() {
+        if (!this.timeLimit) {
+            return null;
+        }
+        return Math.max(this.timeLimit - this.tick, 0) / CONSTANTS.TICKS_PER_SECOND;
+    }
+
+    /*
+    Describes what the capy has hit, for the run's statistics:
+    cause    - "topPipe" or "bottomPipe" for the piece of an obstacle above or
+               below the gap, or "ceiling" or "floor" for the level bounds
+    x        - Distance along the course of the middle of the capy
+    relative - Where the middle of the capy was compared to the obstacle nearest
+               it: x from the middle of the obstacle, and y scaled to the gap of
+               its route, from -1 at the top to 1 at the bottom. Null if no
+               obstacle had been built yet
+    Returns null if the capy hasn't hit anything.
+    */
+    crashReport() {
+        const hitbox = this.capy.hitbox();
+        const box = this.capy.bounds();
+        const middle = { x: (box.left + box.right) / 2, y: (box.top + box.bottom) / 2 };
+        const piece = this.level.collidingPiece(hitbox);
+        let cause;
+        if (piece) {
+            // Pieces between two gaps (e.g. a block) count as above the capy if their middle is
+            const above = piece.capTop && piece.capBottom ? piece.top + piece.bottom < 2 * middle.y : piece.capBottom;
+            cause = above ? "topPipe" : "bottomPipe";
+        } else if (this.capy.outOfBounds()) {
+            cause = Hitbox.bounds(hitbox).top < 0 ? "ceiling" : "floor";
+        } else {
+            return null;
+        }
+
+        let relative = null;
+        const nearest = this.level.pipes.reduce((best, pipe) => {
+            const distance = Math.abs(((pipe.left + pipe.right) / 2) - middle.x);
+            return best && best.distance <= distance ? best : { pipe, distance };
+        }, null);
+        if (nearest) {
+            const { pipe } = nearest;
+            const gap = pipe.gaps[pipe.route];
+            relative = {
+                x: middle.x - ((pipe.left + pipe.right) / 2),
+                y: (middle.y - ((gap.top + gap.bottom) / 2)) / ((gap.bottom - gap.top) / 2)
+            };
+        }
+        return { cause, x: this.level.distance + middle.x, relative };
+    }
+
+    /*
+    Returns whether or not the capy has hit one of the pipes or
+    the upper/lower boundaries of the Level
+    */
+    gameOver() {
+        return (this.level.collidesWith(this.capy.hitbox()) || this.capy.outOfBounds());
+    }
+}
+
+/*
+Runs a whole game without rendering, for balancing runs and regression tests.
+flaps is a list of the ticks on which the capy flaps, where tick 0 is the first
+flap that starts the run (so a run normally starts with a flap at 0). The run
+continues until it's over (e.g. the capy dies) or maxTicks have been simulated.
+A policy (see the autopilot below) can fly the capy instead, in which case it
+decides every flap after the first.
+Any other options (e.g. capyHitbox or mode) are passed on to the GameCore.
+*/
+function simulate({
+    seed = SeededRandom.randomSeed(),
+    flaps = [0],
+    policy = null,
+    maxTicks = 60 * 60 * CONSTANTS.TICKS_PER_SECOND,
+    dimensions,
+    ...options
+} = {}) {
+    const game = new GameCore(seed, dimensions, options);
+    const flapTicks = new Set(policy ? [0] : flaps);
+    game.start();
+    while (!game.over && game.tick < maxTicks) {
+        if (flapTicks.has(game.tick) || (policy && game.tick > 0 && policy.decide(game))) {
+            game.flap();
+        }
+        game.step();
+    }
+    return {
+        seed: game.seed,
+        score: game.score,
+        ticks: game.tick,
+        deathTick: game.deathTick
+    };
+}
+
+/*
+The spread of a list of scores: the lowest, median, mean and highest, and a
+histogram of how many scored in each band of bucketSize, keyed by the lowest
+score of the band. Every value is null (and the histogram empty) for no scores.
+*/
+function scoreSpread(scores, bucketSize = 10) {
+    const sorted = scores.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const histogram = {};
+    sorted.forEach((score) => {
+        const bucket = Math.floor(score / bucketSize) * bucketSize;
+        histogram[bucket] = (histogram[bucket] || 0) + 1;
+    });
+    if (sorted.length === 0) {
+        return { min: null, median: null, mean: null, max: null, histogram };
+    }
+    return {
+        min: sorted[0],
+        median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        mean: sorted.reduce((total, score) => total + score, 0) / sorted.length,
+        max: sorted[sorted.length - 1],
+        histogram
+    };
+}
+
+//---------------------------------------------------------------------//
+
+/*
+The autopilot flies the capy through the same #flap a player uses, for the
+attract mode demo and for comparing policies with each other. It's driven by
+a policy, which is any object with a decide(game) method that's called once a
+tick, before the tick is stepped, and returns whether or not to flap. A policy
+only reads the game (the Level's pipes and the Capy), and never changes it.
+Whether a course can be cleared at all is checked by #searchCourse, which
+tries every way of flapping rather than following a policy.
+*/
+
+// A hash of constants for the autopilot
+const AUTOPILOT = {
+    MARGIN: 6,            // Distance the heuristic keeps from the edges of a gap
+    FALL_TICKS: 1,        // Ticks ahead the heuristic checks the capy's fall against the bottom of the gap
+    HIDDEN_UNITS: 6,      // Size of the neural policy's hidden layer
+    MUTATION_RATE: 0.2,   // Chance of each weight being changed when a neural policy is mutated
+    MUTATION_SIZE: 0.5,   // Most a mutated weight is changed by, either way
+    SEARCH_RUNS: 256,     // Most runs the course search keeps going at once
+    SEARCH_CELL: 4,       // Pixels apart two capys have to be for the course search to keep both
+    SEARCH_OBSTACLES: 50  // Obstacles the course search has to get past, unless told otherwise
+};
+
+/*
+The next obstacle the capy has yet to get past, and the one after it, either
+of which is null if it hasn't been built (or the course has run out)
+*/
+function upcomingPipes(game) {
+    const left = game.capy.bounds().left;
+    const index = game.level.pipes.findIndex((pipe) => pipe.right >= left);
+    if (index === -1) {
+        return [null, null];
+    }
+    return [game.level.pipes[index], game.level.pipes[index + 1] || null];
+}
+
+class HeuristicPolicy {
+    /*
+    Constructor function for the built in policy. It looks a little way ahead
+    along the path the capy falls on, and flaps as soon as that path would take
+    it below the gap it's heading for, unless the rise of the flap would take
+    it into the top of the gap instead. Gaps are checked where they'll be at
+    each tick ahead, so gaps that move are followed rather than waited for.
+    The margin is how far it keeps from the edges of the gap.
+    It only looks FALL_TICKS ahead for falls and doesn't plan around the next
+    obstacle, so it sooner or later crashes on every seed, often on breathing
+    or moving gaps that a player could get through. A low score from it isn't
+    a sign that a course can't be cleared, which #searchCourse checks instead.
+    */
+    constructor({ margin = AUTOPILOT.MARGIN } = {}) {
+        this.margin = margin;
+    }
+
+    decide(game) {
+        const { capy } = game;
+        const [pipe] = upcomingPipes(game);
+        const riseTicks = Math.ceil(capy.physics.FLAP_SPEED / capy.physics.GRAVITY);
+        if (this.clash(game, pipe, false, AUTOPILOT.FALL_TICKS, this.margin) !== "bottom") {
+            return false;
+        }
+        if (this.clash(game, pipe, true, riseTicks, this.margin) !== "top") {
+            return true;
+        }
+        // Without room for the margin, it only flaps once the fall would be a crash, and the rise wouldn't
+        return this.clash(game, pipe, false, 1, 0) === "bottom" &&
+            this.clash(game, pipe, true, riseTicks, 0) !== "top";
+    }
+
+    /*
+    Follows the capy's path for a number of ticks, with or without a flap now,
+    and returns which edge of the gap ("top" or "bottom") it comes within
+    margin of first, or null if it stays clear. Before the capy reaches the
+    obstacle it's kept to the gap as it'll be on the way in, and once past
+    the obstacle only the level bounds are left.
+    */
+    clash(game, pipe, flap, ticks, margin) {
+        const { capy, level } = game;
+        const box = capy.bounds();
+        const hitbox = Hitbox.bounds(capy.hitbox());
+        const speed = level.pipeSpeed();
+        let y = box.top;
+        let vel = flap ? -capy.physics.FLAP_SPEED : capy.vel;
+        for (let tick = 1; tick <= ticks; tick++) {
+            y += vel;
+            vel = Math.min(Math.max(vel + capy.physics.GRAVITY, -capy.physics.TERMINAL_VEL), capy.physics.TERMINAL_VEL);
+            const gap = this.gapAt(level, pipe, box, speed, tick);
+            if (y + (hitbox.top - box.top) < gap.top + margin) {
+                return "top";
+            }
+            if (y + (hitbox.bottom - box.top) > gap.bottom - margin) {
+                return "bottom";
+            }
+        }
+        return null;
+    }
+
+    // The gap the capy has to be in a number of ticks from now
+    gapAt(level, pipe, box, speed, ticks) {
+        const bounds = { top: 0, bottom: level.dimensions.height };
+        if (!pipe || pipe.right - (speed * ticks) < box.left) {
+            return bounds;
+        }
+        const enter = Math.max(Math.ceil((pipe.left - box.right) / speed), 0);
+        return level.routeAt(pipe, Math.max(ticks, enter));
+    }
+}
+
+class NeuralPolicy {
+    /*
+    Constructor function for a policy that's a small neural network, with one
+    hidden layer of tanh units and a single output that flaps when it's above 0.
+    The weights are one flat list: for each hidden unit a weight per input and a
+    bias, then a weight per hidden unit and a bias for the output. Networks are
+    made by the NeuroevolutionTrainer rather than by hand.
+    */
+    constructor(weights, hidden = AUTOPILOT.HIDDEN_UNITS) {
+        if (weights.length !== NeuralPolicy.weightCount(hidden)) {
+            throw new Error(`A network of ${hidden} hidden units needs ${NeuralPolicy.weightCount(hidden)} weights`);
+        }
+        this.weights = weights.slice();
+        this.hidden = hidden;
+    }
+
+    static weightCount(hidden) {
+        return (hidden * (NeuralPolicy.INPUTS + 1)) + hidden + 1;
+    }
+
+    // A network with every weight drawn from a SeededRandom, between -1 and 1
+    static random(random, hidden = AUTOPILOT.HIDDEN_UNITS) {
+        const weights = [];
+        for (let i = 0; i < NeuralPolicy.weightCount(hidden); i++) {
+            weights.push((random.next() * 2) - 1);
+        }
+        return new NeuralPolicy(weights, hidden);
+    }
+
+    /*
+    What the network sees of the game, each scaled to roughly -1 to 1: the
+    capy's height and velocity, how far ahead the next obstacle is, the top and
+    bottom of its route relative to the capy, and the middle of the route
+    through the obstacle after it. With no obstacle ahead, the middle of the
+    level stands in for it.
+    */
+    static features(game) {
+        const { capy, level } = game;
+        const { width, height } = level.dimensions;
+        const box = capy.bounds();
+        const [pipe, after] = upcomingPipes(game);
+        const middle = box.top + (CONST.CAPY_HEIGHT / 2);
+        const gap = pipe ? pipe.gaps[pipe.route] : { top: 0, bottom: height };
+        return [
+            middle / height,
+            capy.vel / capy.physics.TERMINAL_VEL,
+            pipe ? (pipe.left - box.right) / width : 1,
+            (gap.top - box.top) / height,
+            (gap.bottom - box.bottom) / height,
+            ((after ? level.routeMiddle(after) : height / 2) - middle) / height
+        ];
+    }
+
+    decide(game) {
+        const inputs = NeuralPolicy.features(game);
+        const stride = NeuralPolicy.INPUTS + 1;
+        const outputStart = this.hidden * stride;
+        let output = this.weights[outputStart + this.hidden];
+        for (let unit = 0; unit < this.hidden; unit++) {
+            let sum = this.weights[(unit * stride) + NeuralPolicy.INPUTS];
+            inputs.forEach((input, i) => {
+                sum += input * this.weights[(unit * stride) + i];
+            });
+            output += Math.tanh(sum) * this.weights[outputStart + unit];
+        }
+        return output > 0;
+    }
+
+    /*
+    Returns a copy with some of the weights nudged, each with a chance of rate
+    and by up to size either way, using a SeededRandom so training can be repeated
+    */
+    mutate(random, rate = AUTOPILOT.MUTATION_RATE, size = AUTOPILOT.MUTATION_SIZE) {
+        const weights = this.weights.map((weight) => {
+            return random.next() < rate ? weight + (((random.next() * 2) - 1) * size) : weight;
+        });
+        return new NeuralPolicy(weights, this.hidden);
+    }
+
+    toJSON() {
+        return { hidden: this.hidden, weights: this.weights };
+    }
+
+    // Reads a network back from the JSON made by #toJSON
+    static parse(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        const validWeights = data && Array.isArray(data.weights) &&
+            data.weights.every((weight) => Number.isFinite(weight));
+        if (!validWeights || !Number.isInteger(data.hidden) || data.hidden < 1) {
+            throw new Error("Network is missing its weights");
+        }
+        return new NeuralPolicy(data.weights, data.hidden);
+    }
+}
+
+// Number of values NeuralPolicy.features gives the network
+NeuralPolicy.INPUTS = 6;
+
+/*
+Plays a policy through a game for each of the seeds, without rendering, and
+returns every run along with the spread of their scores (see #scoreSpread).
+Any other options (e.g. mode or course) are passed on to #simulate. The scores
+only measure the policy, not whether the courses can be cleared (for that,
+see #searchCourse).
+*/
+function evaluatePolicy(policy, { seeds, bucketSize = 10, ...options }) {
+    const runs = seeds.map((seed) => simulate(Object.assign({}, options, { seed, policy })));
+    return { runs, scores: scoreSpread(runs.map((run) => run.score), bucketSize) };
+}
+
+/*
+Checks whether a course can be cleared, by searching every way of flapping or
+not on each tick rather than trusting a policy. Without pickups every run sees
+the same pipes, so the search moves a single Level and a capy for each run,
+splitting every run into one that flaps and one that doesn't and dropping the
+ones that crash. Capys within SEARCH_CELL pixels of each other, with the same
+speed and wing frame, are merged, and if more than maxRuns are left they're
+merged over ever larger cells until they fit. That means a course it reports
+as blocked could (rarely) still be cleared with a larger maxRuns, but one it
+reports as cleared always can be.
+The search is over once a run has got past the given number of obstacles (or
+finished the course, or its time ran out), or every run has crashed.
+Returns whether it was cleared, how many obstacles were got past, the index of
+the obstacle every run crashed at (null if it was cleared) and the ticks the
+furthest run flapped on, which #simulate plays back the same with pickups off.
+Any other options (e.g. mode or course) are passed on to the GameCore, and
+only modes the capy can crash in can be searched.
+*/
+function searchCourse({
+    seed = SeededRandom.randomSeed(),
+    obstacles = AUTOPILOT.SEARCH_OBSTACLES,
+    maxRuns = AUTOPILOT.SEARCH_RUNS,
+    dimensions,
+    ...options
+} = {}) {
+    const game = new GameCore(seed, dimensions, Object.assign({}, options, { pickups: false }));
+    if (!game.rules.deadly) {
+        throw new Error(`Courses can't be searched in ${game.mode} mode, since the capy can't crash`);
+    }
+    const level = game.level;
+    const result = (cleared, run) => {
+        const flaps = [];
+        for (let flap = run.flaps; flap; flap = flap.previous) {
+            flaps.unshift(flap.tick);
+        }
+        return {
+            cleared,
+            obstacles: level.pipesPassed,
+            blockedAt: cleared ? null : game.startAt + level.pipesPassed,
+            flaps
+        };
+    };
+    // Keeps the first run in each place, as worked out from its capy by place
+    const merge = (runs, place) => {
+        const places = new Map();
+        runs.forEach((run) => {
+            const key = place(run.capy);
+            if (!places.has(key)) {
+                places.set(key, run);
+            }
+        });
+        return Array.from(places.values());
+    };
+    const cell = AUTOPILOT.SEARCH_CELL;
+
+    // The flaps are kept as a list running back from the latest, so runs can share them
+    game.flap();
+    let runs = [{ capy: game.capy, flaps: { tick: game.tick, previous: null } }];
+    while (true) {
+        const tick = game.tick;
+        game.tick++;
+        level.movePipes();
+        const alive = [];
+        runs.forEach((run) => {
+            const flapped = {
+                capy: Object.assign(Object.create(Capy.prototype), run.capy),
+                flaps: { tick, previous: run.flaps }
+            };
+            flapped.capy.flap();
+            [run, flapped].forEach((next) => {
+                next.capy.moveCapy();
+                next.capy.flapWings();
+                if (!level.collidesWith(next.capy.hitbox()) && !next.capy.outOfBounds()) {
+                    alive.push(next);
+                }
+            });
+        });
+        if (alive.length === 0) {
+            return result(false, runs[0]);
+        }
+        runs = merge(alive, (capy) => [Math.round(capy.y / cell), capy.vel.toFixed(2), capy.wingTick].join());
+        for (let size = cell * 2; runs.length > maxRuns; size *= 2) {
+            runs = merge(runs, (capy) => [Math.round(capy.y / size), Math.round(capy.vel * 4 * cell / size)].join());
+        }
+
+        level.passedPipe(runs[0].capy.bounds(), () => {});
+        if (level.pipesPassed >= obstacles || level.courseComplete() ||
+            (game.timeLimit && game.tick >= game.timeLimit)) {
+            return result(true, runs[0]);
+        }
+    }
+}
+
+class NeuroevolutionTrainer {
+    /*
+    Constructor function for training NeuralPolicy networks by evolution. Each
+    generation, every network in the population plays the same seeded games
+    (gamesPerPolicy of them, with new seeds each generation so it can't learn a
+    single course by heart), and the elites that survive the longest are kept,
+    with the rest of the population replaced by mutated copies of them.
+    Everything is drawn from a SeededRandom, so the same seed trains the same
+    networks. Any other options (e.g. mode or maxTicks) are passed on to #simulate.
+    */
+    constructor({
+        seed = SeededRandom.randomSeed(),
+        population = 50,
+        elites = 5,
+        gamesPerPolicy = 5,
+        hidden = AUTOPILOT.HIDDEN_UNITS,
+        ...options
+    } = {}) {
+        if (elites < 1 || elites > population) {
+            throw new Error("There must be between 1 and population elites");
+        }
+        this.seed = String(seed);
+        this.random = new SeededRandom(this.seed);
+        this.elites = elites;
+        this.gamesPerPolicy = gamesPerPolicy;
+        this.options = options;
+        this.generations = 0;
+        this.population = [];
+        for (let i = 0; i < population; i++) {
+            this.population.push(NeuralPolicy.random(this.random, hidden));
+        }
+    }
+
+    /*
+    Plays one generation and breeds the next. Returns the best policy of the
+    generation, and the spread of scores it got.
+    */
+    generation() {
+        const seeds = [];
+        for (let i = 0; i < this.gamesPerPolicy; i++) {
+            seeds.push(`${this.seed}:${this.generations}:${i}`);
+        }
+        const ranked = this.population.map((policy) => {
+            const result = evaluatePolicy(policy, Object.assign({}, this.options, { seeds }));
+            return { policy, result, fitness: NeuroevolutionTrainer.fitness(result) };
+        }).sort((a, b) => b.fitness - a.fitness);
+
+        const elites = ranked.slice(0, this.elites).map((entry) => entry.policy);
+        this.population = elites.slice();
+        for (let i = 0; this.population.length < ranked.length; i++) {
+            this.population.push(elites[i % elites.length].mutate(this.random));
+        }
+        this.generations++;
+        return {
+            generation: this.generations,
+            best: ranked[0].policy,
+            scores: ranked[0].result.scores
+        };
+    }
+
+    /*
+    How good a policy's games were: mostly the pipes passed, with the ticks
+    survived breaking ties, so that early on a policy that lasts longer before
+    its first pipe is still an improvement
+    */
+    static fitness(result) {
+        return result.runs.reduce((total, run) => total + (run.score * 1000) + run.ticks, 0) / result.runs.length;
+    }
+
+    // Plays a number of generations, calling onGeneration after each, and returns the best policy of the last
+    train(generations, onGeneration = () => {}) {
+        let report = null;
+        for (let i = 0; i < generations; i++) {
+            report = this.generation();
+            onGeneration(report);
+        }
+        return report && report.best;
+    }
+}
+
+//---------------------------------------------------------------------//
+
+/*
+The version of the replay format, bumped whenever old replays would play back
+differently. Replays of any other version are rejected rather than migrated,
+since their flaps wouldn't reproduce the same run, so they're dropped from
+storage when the version changes.
+*/
+const REPLAY_VERSION = 6;
+
+class Replay {
+    /*
+    Constructor function for a recorded run. A replay is only the seed and the
+    ticks the capy flapped on, since the rest of the run follows from those.
+    The score and length are kept so a replay can be compared without playing it,
+    and the mode, character and hitbox types so that it's played back with the
+    same rules. A run of a Course keeps the course, and where it was started from,
+    and a run in the assist mode keeps how much wider its gaps were.
+    */
+    constructor({
+        seed,
+        flaps,
+        score = 0,
+        ticks = 0,
+        hitboxes = {},
+        mode = DEFAULT_MODE,
+        character = DEFAULT_CHARACTER,
+        course = null,
+        startAt = 0,
+        gapBonus = 0
+    }) {
+        this.seed = String(seed);
+        this.mode = mode;
+        this.character = character;
+        this.course = course;
+        this.startAt = startAt;
+        this.gapBonus = gapBonus;
+        this.flaps = flaps.slice();
+        this.score = score;
+        this.ticks = ticks;
+        this.hitboxes = {
+            capy: hitboxes.capy || CONST.HITBOX,
+            pipe: hitboxes.pipe || CONSTANTS.PIPE_HITBOX
+        };
+    }
+
+    // Builds a replay from a GameCore, normally once its run is over
+    static fromGame(game) {
+        return new Replay({
+            seed: game.seed,
+            flaps: game.flaps,
+            score: game.score,
+            ticks: game.tick,
+            hitboxes: game.hitboxes,
+            mode: game.mode,
+            character: game.character,
+            course: game.course,
+            startAt: game.startAt,
+            gapBonus: game.gapBonus
+        });
+    }
+
+    /*
+    Reads a replay back from the JSON made by #toJSON, throwing an error if it
+    isn't a replay this version of the game can play (see REPLAY_VERSION).
+    */
+    static parse(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || data.version !== REPLAY_VERSION) {
+            throw new Error("Unsupported replay version");
+        }
+        const validFlaps = Array.isArray(data.flaps) &&
+            data.flaps.every((tick) => Number.isInteger(tick) && tick >= 0);
+        if (data.seed === undefined || !validFlaps) {
+            throw new Error("Replay is missing its seed or flaps");
+        }
+        if (!GAME_MODES[data.mode]) {
+            throw new Error(`Replay is of an unknown game mode: ${data.mode}`);
+        }
+        if (!CHARACTERS[data.character]) {
+            throw new Error(`Replay is of an unknown character: ${data.character}`);
+        }
+        const hitboxes = data.hitboxes || {};
+        const capyHitboxes = Object.keys(CAPY_HITBOXES).concat("mask");
+        if (!capyHitboxes.includes(hitboxes.capy) || !PIPE_HITBOXES.includes(hitboxes.pipe)) {
+            throw new Error("Replay has unknown hitbox types");
+        }
+        // Replays without a gap bonus weren't in the assist mode
+        if (data.gapBonus !== undefined && !(Number.isFinite(data.gapBonus) && data.gapBonus >= 0)) {
+            throw new Error("Replay has an invalid gap bonus");
+        }
+        // Replays without a course were played on their seed's random pipes
+        if (data.course) {
+            const course = Course.parse(data.course);
+            if (!Number.isInteger(data.startAt) || !course.obstacles[data.startAt]) {
+                throw new Error("Replay starts from an obstacle its course doesn't have");
+            }
+            return new Replay(Object.assign({}, data, { course }));
+        }
+        if (data.startAt !== 0) {
+            throw new Error("Replay starts part way through without a course");
+        }
+        return new Replay(data);
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            mode: this.mode,
+            character: this.character,
+            course: this.course,
+            startAt: this.startAt,
+            gapBonus: this.gapBonus,
+            score: this.score,
+            ticks: this.ticks,
+            hitboxes: this.hitboxes,
+            flaps: this.flaps
+        };
+    }
+}
+
+class ReplayPlayer {
+    /*
+    Constructor function that plays a Replay back through a fresh GameCore.
+    Each #step flaps the capy on the recorded ticks (more than once if several
+    flaps were recorded on the same tick) before stepping the game, exactly as
+    the live game did, so the run plays out identically.
+    Replays with "mask" hitboxes need the same masks passed in as the live game.
+    */
+    constructor(replay, dimensions, masks) {
+        this.replay = replay;
+        this.game = new GameCore(replay.seed, dimensions, {
+            capyHitbox: replay.hitboxes.capy,
+            pipeHitbox: replay.hitboxes.pipe,
+            masks,
+            mode: replay.mode,
+            character: replay.character,
+            course: replay.course,
+            startAt: replay.startAt,
+            gapBonus: replay.gapBonus
+        });
+        this.game.start();
+        this.nextFlap = 0;
+    }
+
+    step() {
+        const flaps = this.replay.flaps;
+        while (flaps[this.nextFlap] === this.game.tick) {
+            this.game.flap();
+            this.nextFlap++;
+        }
+        return this.game.step();
+    }
+
+    // Whether the run is over, or the recording has run out
+    finished() {
+        return this.game.over || this.game.tick >= this.replay.ticks;
+    }
+}
+
+// Exposes the core to Node, while in the browser everything above is a global
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        CONSTANTS,
+        DIFFICULTY_SCHEDULE,
+        Difficulty,
+        CONST,
+        SeededRandom,
+        Hitbox,
+        CAPY_HITBOXES,
+        PICKUPS,
+        PICKUP,
+        OBSTACLE_TYPES,
+        PIPE_HITBOXES,
+        CHARACTERS,
+        DEFAULT_CHARACTER,
+        Level,
+        COURSE_VERSION,
+        Course,
+        Capy,
+        GAME_MODES,
+        DEFAULT_MODE,
+        GameCore,
+        simulate,
+        scoreSpread,
+        AUTOPILOT,
+        HeuristicPolicy,
+        NeuralPolicy,
+        evaluatePolicy,
+        searchCourse,
+        NeuroevolutionTrainer,
+        REPLAY_VERSION,
+        Replay,
+        ReplayPlayer
+    };
+}
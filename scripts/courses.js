@@ -0,0 +1,414 @@
+// A hash of constants for the course editor
+const EDITOR = {
+    STORAGE_KEY: "flappy-capy-course", // Storage key holding the course being edited
+    SCALE: 0.5,                        // Size the course is drawn at, compared to the game
+    MIN_SPACING: 60,                   // Closest an obstacle can be dragged to the one before it
+    SCROLL_MARGIN: 200                 // Space that can be scrolled to past the last obstacle
+};
+
+// The course the editor starts with, before anything has been made
+const STARTER_COURSE = {
+    name: "My course",
+    obstacles: [
+        { type: "pipe", spacing: 0, gap: 320 },
+        { type: "pipe", spacing: CONSTANTS.HORIZONTAL_PIPE_SPACING, gap: 280 },
+        { type: "pipe", spacing: CONSTANTS.HORIZONTAL_PIPE_SPACING, gap: 360 }
+    ]
+};
+
+class CourseEditor {
+    /*
+    Constructor function for the editor, which shows a whole Course on its own
+    canvas, side on and scaled down. Clicking an empty spot adds an obstacle
+    there, and obstacles can be dragged up and down (moving the gap) and along
+    the course (moving the obstacle without moving the ones after it). The
+    chosen obstacle's type, pickup, gap size and checkpoint are set with the
+    controls, which are also what new obstacles are made with.
+    The course is kept through a storage adapter as it's edited, so it's still
+    there next visit. onPlay(course, startAt) is called to play it in the game.
+    */
+    constructor(canvas, controls, onPlay, adapter = new LocalStorageAdapter()) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext("2d");
+        this.controls = controls;
+        this.onPlay = onPlay;
+        this.adapter = adapter;
+        this.dimensions = { width: CONSTANTS.WIDTH, height: CONSTANTS.HEIGHT };
+        this.course = this.load();
+        this.selected = -1;     // Index of the chosen obstacle, or -1 for none
+        this.drag = null;       // The obstacle being dragged, and where it started
+        this.scroll = 0;        // Distance along the course the left edge of the canvas is at
+        this.fillControls();
+        this.registerEvents();
+        this.showSelected();
+        this.draw();
+    }
+
+    // The saved course, or the starter course if there isn't one (or it can't be read)
+    load() {
+        const saved = this.adapter.load(EDITOR.STORAGE_KEY);
+        try {
+            return Course.parse(saved);
+        } catch (e) {
+            return new Course(STARTER_COURSE);
+        }
+    }
+
+    save() {
+        this.adapter.save(EDITOR.STORAGE_KEY, this.course);
+    }
+
+    // Distance along the course of each obstacle's left edge, from where the course starts
+    positions() {
+        let x = 0;
+        return this.course.obstacles.map((obstacle) => {
+            x += obstacle.spacing;
+            return x;
+        });
+    }
+
+    length() {
+        const positions = this.positions();
+        return positions.length > 0 ? positions[positions.length - 1] : 0;
+    }
+
+    // Converts a point on the page into a distance along the course and a height in the game
+    toCourse(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: ((clientX - rect.left) * (this.canvas.width / rect.width) / EDITOR.SCALE) + this.scroll,
+            y: (clientY - rect.top) * (this.canvas.height / rect.height) / EDITOR.SCALE
+        };
+    }
+
+    // Index of the obstacle whose column is at distance x along the course, or -1 if there isn't one
+    obstacleAt(x) {
+        const positions = this.positions();
+        return this.course.obstacles.findIndex((obstacle, i) => {
+            return x >= positions[i] && x <= positions[i] + OBSTACLE_TYPES[obstacle.type].width;
+        });
+    }
+
+    /*
+    Adds an obstacle at distance x along the course, made from the controls,
+    between the obstacles either side of it. The one after it has its spacing
+    cut down to match, so it stays where it was.
+    */
+    addObstacle(x, y) {
+        const positions = this.positions();
+        let index = positions.findIndex((position) => position > x);
+        if (index === -1) {
+            index = positions.length;
+        }
+        const previous = index > 0 ? positions[index - 1] : 0;
+        const obstacle = Course.obstacle(Object.assign(this.controlValues(), {
+            spacing: x - previous,
+            gap: this.clampGap(y, this.controlValues())
+        }));
+        if (this.course.obstacles[index]) {
+            this.course.obstacles[index].spacing -= obstacle.spacing;
+        }
+        this.course.obstacles.splice(index, 0, obstacle);
+        this.select(index);
+        return index;
+    }
+
+    // Removes the chosen obstacle, leaving the ones after it where they were
+    removeSelected() {
+        const obstacles = this.course.obstacles;
+        if (!obstacles[this.selected]) {
+            return;
+        }
+        const [removed] = obstacles.splice(this.selected, 1);
+        if (obstacles[this.selected]) {
+            obstacles[this.selected].spacing += removed.spacing;
+        }
+        this.select(Math.min(this.selected, obstacles.length - 1));
+        this.changed();
+    }
+
+    /*
+    Moves the dragged obstacle by however far the pointer has moved since the
+    drag started. Moving it along the course takes the distance off the spacing
+    of the obstacle after it, so that one stays put, and neither is allowed
+    closer than MIN_SPACING to the obstacle before it.
+    */
+    dragTo(point) {
+        const drag = this.drag;
+        const obstacles = this.course.obstacles;
+        const obstacle = obstacles[drag.index];
+        const next = obstacles[drag.index + 1];
+        const minSpacing = drag.index === 0 ? 0 : EDITOR.MIN_SPACING;
+        let shift = Math.max(point.x - drag.x, minSpacing - drag.spacing);
+        if (next) {
+            shift = Math.min(shift, drag.nextSpacing - EDITOR.MIN_SPACING);
+            next.spacing = drag.nextSpacing - shift;
+        }
+        obstacle.spacing = drag.spacing + shift;
+        obstacle.gap = this.clampGap(drag.gap + (point.y - drag.y), obstacle);
+        this.changed();
+    }
+
+    // Keeps a gap where the obstacle's route stays inside the level (see Course.gapRange)
+    clampGap(y, obstacle) {
+        const range = Course.gapRange(obstacle, this.dimensions.height);
+        return Math.min(Math.max(Math.round(y), Math.ceil(range.min)), Math.floor(range.max));
+    }
+
+    // Chooses an obstacle to edit, or -1 for none, showing its values in the controls
+    select(index) {
+        this.selected = index;
+        this.showSelected();
+        this.draw();
+    }
+
+    showSelected() {
+        const obstacle = this.course.obstacles[this.selected];
+        this.controls.name.value = this.course.name;
+        this.controls.remove.disabled = !obstacle;
+        this.controls.test.disabled = !obstacle;
+        if (!obstacle) {
+            return;
+        }
+        this.controls.type.value = obstacle.type;
+        this.controls.pickup.value = obstacle.pickup || "";
+        this.controls.gapSize.value = obstacle.gapSize === null ? "" : obstacle.gapSize;
+        this.controls.checkpoint.checked = obstacle.checkpoint;
+    }
+
+    // The obstacle values set in the controls, with an empty gap size meaning the difficulty's
+    controlValues() {
+        const gapSize = parseInt(this.controls.gapSize.value, 10);
+        return {
+            type: this.controls.type.value,
+            pickup: this.controls.pickup.value || null,
+            gapSize: gapSize > 0 ? gapSize : null,
+            checkpoint: this.controls.checkpoint.checked
+        };
+    }
+
+    // Saves and redraws the course after every edit, and keeps the scroll bar in step with its length
+    changed() {
+        this.controls.scroll.max = this.length() + EDITOR.SCROLL_MARGIN;
+        this.save();
+        this.draw();
+    }
+
+    scrollTo(scroll) {
+        this.scroll = Math.min(Math.max(scroll, 0), this.length() + EDITOR.SCROLL_MARGIN);
+        this.controls.scroll.value = this.scroll;
+        this.draw();
+    }
+
+    // Swaps in another course, e.g. one that's been imported, and saves it
+    setCourse(course) {
+        this.course = course;
+        this.select(-1);
+        this.scrollTo(0);
+        this.changed();
+    }
+
+    /*
+    Plays the course in the game, from the chosen obstacle or the start. The
+    game is given a copy, so editing it doesn't change a run in progress.
+    */
+    play(startAt) {
+        if (this.course.obstacles.length === 0) {
+            alert("Add an obstacle to the course first");
+            return;
+        }
+        this.onPlay(new Course(this.course), startAt);
+    }
+
+    /*
+    Draws the whole course from the scroll position on, the same way the
+    level builds it (see Level#coursePipe), with the chosen obstacle
+    outlined. Checkpoints are marked with a dashed line through their gap, and
+    the start of the course with a solid one.
+    */
+    draw() {
+        const ctx = this.ctx;
+        const level = new Level(this.dimensions, new SeededRandom(""), {
+            course: this.course.obstacles.length > 0 ? this.course : null,
+            pickupRandom: new SeededRandom("")
+        });
+        ctx.save();
+        ctx.fillStyle = "#87ceeb";
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.scale(EDITOR.SCALE, EDITOR.SCALE);
+        ctx.translate(-this.scroll, 0);
+
+        ctx.strokeStyle = "white";
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, this.dimensions.height);
+        ctx.stroke();
+
+        this.positions().forEach((x, i) => {
+            const pipe = level.coursePipe(i, x);
+            ctx.fillStyle = "green";
+            level.pieces(pipe).forEach((piece) => {
+                ctx.fillRect(piece.left, piece.top, piece.right - piece.left, piece.bottom - piece.top);
+            });
+            if (i === this.selected) {
+                ctx.strokeStyle = "gold";
+                ctx.lineWidth = 6;
+                ctx.strokeRect(pipe.left, 0, pipe.right - pipe.left, this.dimensions.height);
+            }
+            if (pipe.checkpoint) {
+                const route = pipe.gaps[pipe.route];
+                ctx.strokeStyle = "white";
+                ctx.lineWidth = 4;
+                ctx.setLineDash([12, 12]);
+                ctx.beginPath();
+                ctx.moveTo((pipe.left + pipe.right) / 2, route.top);
+                ctx.lineTo((pipe.left + pipe.right) / 2, route.bottom);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            if (pipe.pickup) {
+                const position = level.pickupPosition(pipe);
+                drawPickupIcon(ctx, pipe.pickup.type, position.x, position.y, PICKUP.SIZE / 2);
+            }
+            ctx.fillStyle = "white";
+            ctx.font = "bold 24pt sans-serif";
+            ctx.fillText(String(i + 1), pipe.left, this.dimensions.height - 10);
+        });
+        ctx.restore();
+    }
+
+    // Fills the type and pickup selects from OBSTACLE_TYPES and PICKUPS
+    fillControls() {
+        const addOption = (select, value, label) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        };
+        Object.keys(OBSTACLE_TYPES).forEach((type) => addOption(this.controls.type, type, OBSTACLE_TYPES[type].name));
+        addOption(this.controls.pickup, "", "None");
+        Object.keys(PICKUPS).forEach((type) => addOption(this.controls.pickup, type, PICKUPS[type].name));
+        this.controls.scroll.min = 0;
+        this.controls.scroll.max = this.length() + EDITOR.SCROLL_MARGIN;
+        this.controls.scroll.value = 0;
+    }
+
+    /*
+    Pointer and keyboard handling for the editor canvas (Delete removes the
+    chosen obstacle, and the arrow keys choose the one before or after it), and
+    the controls around it. Keys pressed on the canvas aren't passed on to the
+    game.
+    */
+    registerEvents() {
+        this.canvas.addEventListener("pointerdown", (e) => {
+            e.preventDefault();
+            this.canvas.focus();
+            const point = this.toCourse(e.clientX, e.clientY);
+            let index = this.obstacleAt(point.x);
+            if (index === -1) {
+                index = this.addObstacle(point.x, point.y);
+                this.changed();
+            } else {
+                this.select(index);
+            }
+            const obstacles = this.course.obstacles;
+            this.drag = {
+                index,
+                x: point.x,
+                y: point.y,
+                spacing: obstacles[index].spacing,
+                gap: obstacles[index].gap,
+                nextSpacing: obstacles[index + 1] ? obstacles[index + 1].spacing : 0
+            };
+            if (this.canvas.setPointerCapture) {
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+        });
+        this.canvas.addEventListener("pointermove", (e) => {
+            if (this.drag) {
+                this.dragTo(this.toCourse(e.clientX, e.clientY));
+            }
+        });
+        const endDrag = () => {
+            this.drag = null;
+        };
+        this.canvas.addEventListener("pointerup", endDrag);
+        this.canvas.addEventListener("pointercancel", endDrag);
+        this.canvas.addEventListener("wheel", (e) => {
+            e.preventDefault();
+            this.scrollTo(this.scroll + (e.deltaX || e.deltaY));
+        });
+        this.canvas.addEventListener("keydown", (e) => {
+            e.stopPropagation();
+            switch (e.code) {
+                case "Delete":
+                case "Backspace":
+                    e.preventDefault();
+                    this.removeSelected();
+                    break;
+                case "ArrowLeft":
+                    e.preventDefault();
+                    this.select(Math.max(this.selected - 1, 0));
+                    break;
+                case "ArrowRight":
+                    e.preventDefault();
+                    this.select(Math.min(this.selected + 1, this.course.obstacles.length - 1));
+                    break;
+            }
+        });
+
+        const controls = this.controls;
+        controls.scroll.addEventListener("input", () => this.scrollTo(Number(controls.scroll.value)));
+        controls.name.addEventListener("input", () => {
+            this.course.name = controls.name.value;
+            this.save();
+        });
+        // Changing a control changes the chosen obstacle, if there is one
+        [controls.type, controls.pickup, controls.gapSize, controls.checkpoint].forEach((control) => {
+            control.addEventListener("change", () => {
+                const obstacle = this.course.obstacles[this.selected];
+                if (obstacle) {
+                    // A bigger gap or a moving one may no longer fit where the gap was
+                    Object.assign(obstacle, this.controlValues());
+                    obstacle.gap = this.clampGap(obstacle.gap, obstacle);
+                    this.changed();
+                }
+            });
+        });
+        controls.remove.addEventListener("click", () => this.removeSelected());
+        controls.play.addEventListener("click", () => this.play(0));
+        controls.test.addEventListener("click", () => this.play(Math.max(this.selected, 0)));
+        controls.exportCourse.addEventListener("click", () => downloadCourse(this.course));
+        controls.newCourse.addEventListener("click", () => {
+            if (confirm("Start a new course? The one being edited will be lost unless it's been exported.")) {
+                this.setCourse(new Course(STARTER_COURSE));
+            }
+        });
+        controls.importCourse.addEventListener("click", () => {
+            controls.courseFile.click();
+        });
+        controls.courseFile.addEventListener("change", () => {
+            const file = controls.courseFile.files[0];
+            if (!file) {
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    this.setCourse(Course.parse(reader.result));
+                } catch (e) {
+                    alert(`Couldn't load course: ${e.message}`);
+                }
+            };
+            reader.readAsText(file);
+            controls.courseFile.value = "";
+        });
+    }
+}
+
+// Saves a course as a JSON file, which can be imported into the editor again
+function downloadCourse(course) {
+    const name = course.name.replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+    downloadFile(JSON.stringify(course), "application/json", `flappy-capy-course-${name}.json`);
+}
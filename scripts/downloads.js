@@ -0,0 +1,14 @@
+/*
+Saves contents (a string) as a file of the given MIME type, by pointing a
+temporary link at a Blob of it and clicking it. Used for every export.
+*/
+function downloadFile(contents, type, filename) {
+    const blob = new Blob([contents], { type });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,233 @@
+// The keys bound to each action by default, by KeyboardEvent#code
+const DEFAULT_BINDINGS = {
+    flap: ["Space", "ArrowUp", "KeyW"],
+    confirm: ["Enter"],
+    pause: ["KeyP"],
+    back: ["Escape"],
+    left: ["ArrowLeft", "KeyA"],
+    right: ["ArrowRight", "KeyD"],
+    mute: ["KeyM"],
+    fullscreen: ["KeyF"],
+    debug: ["KeyH"]
+};
+
+// A hash of constants for reading player input
+const INPUT = {
+    BINDINGS_KEY: "flappy-capy-bindings", // Storage key holding rebound keys
+    DEBOUNCE_MS: 60,                      // Repeats of an action closer together than this are ignored
+    GAMEPAD_BUTTONS: {                    // Standard gamepad layout button indices
+        0: "flap",                        // A (cross)
+        1: "back",                        // B (circle)
+        9: "pause",                       // Start
+        14: "left",                       // D-pad left
+        15: "right"                       // D-pad right
+    }
+};
+
+class InputManager {
+    /*
+    Constructor function that turns every kind of input into the same few
+    actions (flap, confirm, pause, back, left, right, mute, fullscreen and debug),
+    so the game never needs to know whether a flap came from a key, a mouse, a
+    finger or a gamepad.
+    Each action is passed to onAction along with where it came from, and
+    pointer actions include the coordinates that were pressed, as given by
+    toPoint (the canvas's own pixels unless the game scales its drawing).
+    onKey sees every keypress first, and can return true to keep it from
+    being treated as an action (e.g. while typing a name).
+    Key bindings are loaded through a storage adapter so rebound keys stick.
+    */
+    constructor(canvas, { onAction, onKey = () => false, toPoint }, adapter = new LocalStorageAdapter()) {
+        this.canvas = canvas;
+        this.onAction = onAction;
+        this.onKey = onKey;
+        this.toPoint = toPoint || ((clientX, clientY) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return {
+                x: (clientX - rect.left) * (this.canvas.width / rect.width),
+                y: (clientY - rect.top) * (this.canvas.height / rect.height)
+            };
+        });
+        this.adapter = adapter;
+        this.bindings = this.loadBindings();
+        this.lastActionTimes = {};
+        this.gamepadButtons = {};   // Which gamepad buttons were down at the last poll
+        this.rebinding = null;      // The action waiting for a new key, while rebinding
+        this.registerEvents();
+    }
+
+    // Loads any rebound keys, falling back to the defaults for actions that weren't rebound
+    loadBindings() {
+        const saved = this.adapter.load(INPUT.BINDINGS_KEY) || {};
+        const bindings = InputManager.defaultBindings();
+        Object.keys(bindings).forEach((action) => {
+            if (Array.isArray(saved[action])) {
+                bindings[action] = saved[action].slice();
+            }
+        });
+        return bindings;
+    }
+
+    // A copy of the default bindings, safe to change
+    static defaultBindings() {
+        const bindings = {};
+        Object.keys(DEFAULT_BINDINGS).forEach((action) => {
+            bindings[action] = DEFAULT_BINDINGS[action].slice();
+        });
+        return bindings;
+    }
+
+    /*
+    Pointer events cover both the mouse and touch, and (unlike listening for
+    touchstart and mousedown) only fire once per tap, so a tap on a phone is
+    a single flap. Holding a key down doesn't repeat flaps either. Keys typed
+    into a text field on the page are left to the field.
+    */
+    registerEvents() {
+        this.canvas.addEventListener("pointerdown", (e) => {
+            e.preventDefault();
+            const point = this.toPoint(e.clientX, e.clientY);
+            this.trigger("flap", {
+                source: e.pointerType === "touch" ? "touch" : "mouse",
+                x: point.x,
+                y: point.y
+            });
+        });
+
+        document.addEventListener("keydown", (e) => {
+            if (this.rebinding) {
+                e.preventDefault();
+                this.bind(this.rebinding.action, e.code);
+                return;
+            }
+            if (this.onKey(e) || isTyping(e.target)) {
+                return;
+            }
+            const action = this.actionForKey(e.code);
+            if (!action) {
+                return;
+            }
+            // Bound keys shouldn't also scroll the page or press a focused button
+            e.preventDefault();
+            if (!e.repeat) {
+                this.trigger(action, { source: "keyboard" });
+            }
+        });
+    }
+
+    actionForKey(code) {
+        return Object.keys(this.bindings).find((action) => this.bindings[action].includes(code));
+    }
+
+    /*
+    Passes an action on to the game, unless the same action was triggered
+    within the last DEBOUNCE_MS, whatever device it came from. This catches
+    both double-firing inputs and the same press arriving from two sources.
+    */
+    trigger(action, detail) {
+        const now = performance.now();
+        const last = this.lastActionTimes[action];
+        if (last !== undefined && now - last < INPUT.DEBOUNCE_MS) {
+            return;
+        }
+        this.lastActionTimes[action] = now;
+        this.onAction(action, detail);
+    }
+
+    /*
+    The Gamepad API doesn't fire events for buttons, so the game loop calls
+    this once per frame. An action is only triggered on the frame its button
+    goes down, the same as a keypress.
+    */
+    pollGamepads() {
+        if (!navigator.getGamepads) {
+            return;
+        }
+        Array.from(navigator.getGamepads()).forEach((gamepad) => {
+            if (!gamepad) {
+                return;
+            }
+            Object.keys(INPUT.GAMEPAD_BUTTONS).forEach((index) => {
+                const button = gamepad.buttons[index];
+                const id = `${gamepad.index}:${index}`;
+                const pressed = Boolean(button && button.pressed);
+                if (pressed && !this.gamepadButtons[id]) {
+                    this.trigger(INPUT.GAMEPAD_BUTTONS[index], { source: "gamepad" });
+                }
+                this.gamepadButtons[id] = pressed;
+            });
+        });
+    }
+
+    /*
+    Waits for the next keypress and binds it to an action, in place of the
+    keys it had. onDone is called once the key has been bound.
+    */
+    startRebinding(action, onDone) {
+        this.rebinding = { action, onDone };
+    }
+
+    /*
+    Binds a key to an action, replacing the keys it had. A key can only do
+    one thing, so it's taken away from any other action it was bound to.
+    */
+    bind(action, code) {
+        Object.keys(this.bindings).forEach((other) => {
+            this.bindings[other] = this.bindings[other].filter((key) => key !== code);
+        });
+        this.bindings[action] = [code];
+        this.adapter.save(INPUT.BINDINGS_KEY, this.bindings);
+
+        const rebinding = this.rebinding;
+        this.rebinding = null;
+        if (rebinding && rebinding.onDone) {
+            rebinding.onDone();
+        }
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.defaultBindings();
+        this.adapter.save(INPUT.BINDINGS_KEY, this.bindings);
+    }
+}
+
+/*
+Lists each action with its keys on the page, with a button to rebind it and
+one to put every key back to its default.
+*/
+function registerBindingControls(list, input) {
+    const render = () => {
+        list.innerHTML = "";
+        Object.keys(input.bindings).forEach((action) => {
+            const item = document.createElement("li");
+            const keys = input.bindings[action].join(", ") || "unbound";
+            const button = document.createElement("button");
+            item.textContent = `${action}: ${keys} `;
+            button.textContent = "Rebind";
+            button.addEventListener("click", () => {
+                button.textContent = "Press a key...";
+                button.blur();
+                input.startRebinding(action, render);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+
+        const resetItem = document.createElement("li");
+        const reset = document.createElement("button");
+        reset.textContent = "Reset keys";
+        reset.addEventListener("click", () => {
+            input.resetBindings();
+            render();
+        });
+        resetItem.appendChild(reset);
+        list.appendChild(resetItem);
+    };
+    render();
+}
+
+// Whether a key pressed on the element is typing into it (e.g. a course's name), rather than playing
+function isTyping(element) {
+    return Boolean(element) && (element.tagName === "TEXTAREA" ||
+        (element.tagName === "INPUT" && ["text", "number", "search"].includes(element.type)));
+}
@@ -0,0 +1,92 @@
+// A hash of constants for the high score table
+const LEADERBOARD = {
+    KEY: "flappy-capy-leaderboard", // Storage key holding the table
+    SIZE: 10,                       // Number of entries kept
+    MIN_SCORE: 1,                   // Lowest score that can be entered
+    MAX_NAME_LENGTH: 10,
+    DEFAULT_NAME: "Capy"
+};
+
+class Leaderboard {
+    /*
+    Constructor function that loads the high score table through a storage
+    adapter (see scripts/storage.js), which saves to localStorage unless
+    another is passed in. Entries are kept sorted, highest score first, and
+    each holds the name, score, date (as an ISO string) and seed of the run.
+    Every game mode has a table of its own.
+    */
+    constructor(adapter = new LocalStorageAdapter(), size = LEADERBOARD.SIZE, mode = DEFAULT_MODE) {
+        this.adapter = adapter;
+        this.size = size;
+        this.mode = mode;
+        this.key = Leaderboard.storageKey(mode);
+        this.entries = this.load();
+    }
+
+    // The classic table keeps the key it had from before there were modes
+    static storageKey(mode) {
+        return mode === DEFAULT_MODE ? LEADERBOARD.KEY : `${LEADERBOARD.KEY}-${mode}`;
+    }
+
+    // Reads the saved entries, ignoring anything that doesn't look like one
+    load() {
+        const saved = this.adapter.load(this.key);
+        if (!Array.isArray(saved)) {
+            return [];
+        }
+        return saved
+            .filter((entry) => entry && typeof entry.name === "string" && Number.isFinite(entry.score))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.size);
+    }
+
+    /*
+    Returns whether or not a score would make it onto the table, either because
+    the table isn't full yet or because it beats the lowest entry.
+    */
+    qualifies(score) {
+        if (score < LEADERBOARD.MIN_SCORE) {
+            return false;
+        }
+        if (this.entries.length < this.size) {
+            return true;
+        }
+        return score > this.entries[this.entries.length - 1].score;
+    }
+
+    /*
+    Adds an entry to the table and saves it, returning the entry's position
+    (0 being the top), or -1 if it didn't make it onto the table. Ties go
+    to whoever got the score first.
+    */
+    add({ name, score, seed, date = new Date().toISOString() }) {
+        if (!this.qualifies(score)) {
+            return -1;
+        }
+        const entry = {
+            name: Leaderboard.cleanName(name),
+            score,
+            date,
+            seed: String(seed)
+        };
+        let rank = this.entries.findIndex((other) => other.score < score);
+        if (rank === -1) {
+            rank = this.entries.length;
+        }
+        this.entries.splice(rank, 0, entry);
+        this.entries = this.entries.slice(0, this.size);
+        this.adapter.save(this.key, this.entries);
+        return rank;
+    }
+
+    // Returns the best score on the table, or 0 if it's empty
+    best() {
+        return this.entries.length ? this.entries[0].score : 0;
+    }
+
+    // Trims a name down to size, falling back to the default if it's empty
+    static cleanName(name) {
+        const cleaned = String(name || "").trim().slice(0, LEADERBOARD.MAX_NAME_LENGTH);
+        return cleaned || LEADERBOARD.DEFAULT_NAME;
+    }
+}
@@ -0,0 +1,91 @@
+// A hash of constants for keeping replays in the browser
+const REPLAY_STORAGE = {
+    KEY: "flappy-capy-replays", // Storage key holding the best replay of each seed
+    MAX_SEEDS: 20               // Number of seeds to keep a best replay for
+};
+
+class ReplayStore {
+    /*
+    Constructor function that loads the best replay recorded on each seed through
+    a storage adapter (localStorage by default). Only the best run of a seed is
+    kept, since that's the one the ghost races against, and only the highest
+    scoring MAX_SEEDS seeds are kept so that random seeds don't fill up storage
+    forever. Each game mode keeps its own best run of a seed.
+    */
+    constructor(adapter = new LocalStorageAdapter()) {
+        this.adapter = adapter;
+        this.replays = this.load();
+    }
+
+    /*
+    Reads the stored replays, dropping any that can't be parsed, which includes
+    every replay from an older version of the game (see REPLAY_VERSION), rather
+    than losing all of them.
+    */
+    load() {
+        const replays = {};
+        const stored = this.adapter.load(REPLAY_STORAGE.KEY) || {};
+        Object.keys(stored).forEach((key) => {
+            try {
+                replays[key] = Replay.parse(stored[key]);
+            } catch (e) {
+                // Unplayable replays are dropped
+            }
+        });
+        return replays;
+    }
+
+    save() {
+        this.adapter.save(REPLAY_STORAGE.KEY, this.replays);
+    }
+
+    /*
+    Keeps the replay if it beats (or is the first run on) its seed, and returns
+    whether or not it was kept.
+    */
+    record(replay) {
+        const key = ReplayStore.key(replay.seed, replay.mode);
+        const best = this.replays[key];
+        if (best && best.score >= replay.score) {
+            return false;
+        }
+        this.replays[key] = replay;
+
+        const keys = Object.keys(this.replays);
+        if (keys.length > REPLAY_STORAGE.MAX_SEEDS) {
+            keys.sort((a, b) => this.replays[b].score - this.replays[a].score);
+            keys.slice(REPLAY_STORAGE.MAX_SEEDS).forEach((other) => {
+                delete this.replays[other];
+            });
+        }
+        this.save();
+        return this.replays[key] === replay;
+    }
+
+    // Replays are stored by seed, with the mode in front for every mode but classic
+    static key(seed, mode = DEFAULT_MODE) {
+        return mode === DEFAULT_MODE ? String(seed) : `${mode}:${seed}`;
+    }
+
+    // Returns the best replay on a seed, or undefined if it hasn't been played in the mode
+    best(seed, mode = DEFAULT_MODE) {
+        return this.replays[ReplayStore.key(seed, mode)];
+    }
+
+    // Returns the highest scoring replay of a mode across every seed
+    bestOverall(mode = DEFAULT_MODE) {
+        let best;
+        Object.keys(this.replays).forEach((key) => {
+            const replay = this.replays[key];
+            if (replay.mode === mode && (!best || replay.score > best.score)) {
+                best = replay;
+            }
+        });
+        return best;
+    }
+}
+
+// Saves a replay as a small JSON file
+function downloadReplay(replay) {
+    downloadFile(JSON.stringify(replay), "application/json", `flappy-capy-${replay.seed}-${replay.score}.json`);
+}
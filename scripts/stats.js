@@ -0,0 +1,277 @@
+// A hash of constants for the run history and the statistics drawn from it
+const STATS = {
+    KEY: "flappy-capy-history", // Storage key holding the runs
+    MAX_RUNS: 500,              // Number of runs kept, dropping the oldest first
+    BUCKET_SIZE: 5,             // Scores in each bar of the histogram
+    HEATMAP_SCALE: 0.5,         // Size the obstacle and deaths are drawn at on the heatmap, compared to the game
+    HEATMAP_CELL: 8             // Size (in canvas pixels) of each square of the heatmap
+};
+
+// The ways a run can die (see GameCore#crashReport), as they're shown in the statistics
+const DEATH_CAUSES = {
+    topPipe: "Top pipe",
+    bottomPipe: "Bottom pipe",
+    ceiling: "Ceiling",
+    floor: "Floor"
+};
+
+// Columns of the CSV export, in order
+const HISTORY_COLUMNS = [
+    "date", "seed", "mode", "character", "score", "seconds", "flaps", "coins",
+    "endReason", "cause", "x", "relativeX", "relativeY"
+];
+
+class RunHistory {
+    /*
+    Constructor function that loads every run played (up to MAX_RUNS) through a
+    storage adapter (localStorage by default), so the statistics last between
+    visits. Each run keeps its date (as an ISO string), seed, mode, character,
+    score, length in ticks, flaps, coins, why it ended and, if it crashed, what
+    it crashed into and where (see GameCore#crashReport).
+    */
+    constructor(adapter = new LocalStorageAdapter()) {
+        this.adapter = adapter;
+        this.runs = this.load();
+        this.listeners = [];
+    }
+
+    // Reads the saved runs, ignoring anything that doesn't look like one
+    load() {
+        const saved = this.adapter.load(STATS.KEY);
+        if (!Array.isArray(saved)) {
+            return [];
+        }
+        return saved.filter((run) => run && Number.isFinite(run.score) && Number.isFinite(run.ticks));
+    }
+
+    save() {
+        this.adapter.save(STATS.KEY, this.runs);
+    }
+
+    // Adds a finished run, saves it and lets the listeners know, returning the run as it's kept
+    record(game, date = new Date().toISOString()) {
+        const crash = game.crash;
+        const run = {
+            date,
+            seed: game.seed,
+            mode: game.mode,
+            character: game.character,
+            score: game.score,
+            ticks: game.tick,
+            flaps: game.flaps.length,
+            coins: game.coins,
+            endReason: game.endReason,
+            cause: crash ? crash.cause : null,
+            x: crash ? crash.x : null,
+            relative: crash ? crash.relative : null
+        };
+        this.runs.push(run);
+        this.runs = this.runs.slice(-STATS.MAX_RUNS);
+        this.save();
+        this.listeners.forEach((listener) => listener(run));
+        return run;
+    }
+
+    // Calls the listener with every run recorded from now on
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /*
+    Totals and averages over every run: the runs, time played (in seconds),
+    flaps and coins, the spread of the scores (see #scoreSpread) and the
+    number of deaths of each of the DEATH_CAUSES. Averages are 0 with no runs.
+    */
+    summary() {
+        const count = this.runs.length;
+        const total = (field) => this.runs.reduce((sum, run) => sum + run[field], 0);
+        const totals = {
+            runs: count,
+            score: total("score"),
+            seconds: total("ticks") / CONSTANTS.TICKS_PER_SECOND,
+            flaps: total("flaps"),
+            coins: total("coins")
+        };
+        const causes = {};
+        Object.keys(DEATH_CAUSES).forEach((cause) => {
+            causes[cause] = this.runs.filter((run) => run.cause === cause).length;
+        });
+        return {
+            totals,
+            averages: {
+                score: count ? totals.score / count : 0,
+                seconds: count ? totals.seconds / count : 0,
+                flaps: count ? totals.flaps / count : 0
+            },
+            scores: scoreSpread(this.runs.map((run) => run.score), STATS.BUCKET_SIZE),
+            causes
+        };
+    }
+
+    // Every run as a row of HISTORY_COLUMNS, with a header row
+    toCSV() {
+        const rows = this.runs.map((run) => {
+            const values = Object.assign({}, run, {
+                seconds: (run.ticks / CONSTANTS.TICKS_PER_SECOND).toFixed(2),
+                relativeX: run.relative ? run.relative.x : null,
+                relativeY: run.relative ? run.relative.y : null
+            });
+            return HISTORY_COLUMNS.map((column) => csvValue(values[column])).join(",");
+        });
+        return [HISTORY_COLUMNS.join(",")].concat(rows).join("\n");
+    }
+
+    toJSON() {
+        return this.runs;
+    }
+}
+
+// A value as a CSV field, quoted if it has a comma, quote or line break in it (seeds can be anything)
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Saves the run history as a CSV or JSON file
+function downloadHistory(history, format) {
+    if (format === "csv") {
+        downloadFile(history.toCSV(), "text/csv", "flappy-capy-history.csv");
+    } else {
+        downloadFile(JSON.stringify(history), "application/json", "flappy-capy-history.json");
+    }
+}
+
+class StatsDashboard {
+    /*
+    Constructor function for the statistics on the page: a list of the totals
+    and averages, and a canvas with a histogram of the scores on the left and a
+    heatmap of where runs died on the right. The heatmap is drawn over a single
+    obstacle, with each death placed where the capy was compared to the
+    obstacle nearest it, and the gaps of every obstacle stretched to the same
+    size. The dashboard is drawn again whenever a run is recorded.
+    */
+    constructor(canvas, controls, history) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext("2d");
+        this.controls = controls;
+        this.history = history;
+        history.onChange(() => this.draw());
+        controls.exportCSV.addEventListener("click", () => downloadHistory(history, "csv"));
+        controls.exportJSON.addEventListener("click", () => downloadHistory(history, "json"));
+        this.draw();
+    }
+
+    draw() {
+        const summary = this.history.summary();
+        const half = this.canvas.width / 2;
+        this.showTotals(summary);
+        this.ctx.fillStyle = "#87ceeb";
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawHistogram(summary.scores.histogram, { left: 0, width: half });
+        this.drawHeatmap({ left: half, width: half });
+    }
+
+    // Lists the totals, averages and deaths by cause
+    showTotals(summary) {
+        const { totals, averages, scores, causes } = summary;
+        const lines = [
+            `Runs: ${totals.runs}`,
+            `Time played: ${formatDuration(totals.seconds)}`,
+            `Total score: ${totals.score}, best ${scores.max === null ? "-" : scores.max}`,
+            `Flaps: ${totals.flaps}, coins: ${totals.coins}`,
+            `Average score: ${averages.score.toFixed(1)}, median ${scores.median === null ? "-" : scores.median}`,
+            `Average run: ${formatDuration(averages.seconds)}, ${averages.flaps.toFixed(1)} flaps`,
+            `Deaths: ${Object.keys(DEATH_CAUSES).map((cause) => `${DEATH_CAUSES[cause]} ${causes[cause]}`).join(", ")}`
+        ];
+        const list = this.controls.totals;
+        list.innerHTML = "";
+        lines.forEach((line) => {
+            const item = document.createElement("li");
+            item.textContent = line;
+            list.appendChild(item);
+        });
+    }
+
+    // One bar per BUCKET_SIZE scores, from 0 up to the highest, labelled with the score each starts at
+    drawHistogram(histogram, area) {
+        const ctx = this.ctx;
+        const buckets = Object.keys(histogram).map(Number);
+        const margin = { top: 30, bottom: 20, side: 10 };
+        ctx.fillStyle = "white";
+        ctx.font = "bold 12pt sans-serif";
+        ctx.fillText("Scores", area.left + margin.side, 20);
+        if (buckets.length === 0) {
+            ctx.font = "10pt sans-serif";
+            ctx.fillText("No runs yet", area.left + margin.side, 50);
+            return;
+        }
+        const bars = (Math.max(...buckets) / STATS.BUCKET_SIZE) + 1;
+        const most = Math.max(...buckets.map((bucket) => histogram[bucket]));
+        const barWidth = (area.width - (2 * margin.side)) / bars;
+        const height = this.canvas.height - margin.top - margin.bottom;
+        const labelEvery = Math.ceil(bars / 5);
+        ctx.font = "8pt sans-serif";
+        for (let i = 0; i < bars; i++) {
+            const count = histogram[i * STATS.BUCKET_SIZE] || 0;
+            const barHeight = (count / most) * height;
+            const x = area.left + margin.side + (i * barWidth);
+            ctx.fillStyle = "green";
+            ctx.fillRect(x + 1, margin.top + height - barHeight, Math.max(barWidth - 2, 1), barHeight);
+            if (i % labelEvery === 0) {
+                ctx.fillStyle = "white";
+                ctx.fillText(String(i * STATS.BUCKET_SIZE), x, this.canvas.height - 6);
+            }
+        }
+    }
+
+    /*
+    Draws an obstacle with a PIPE_GAP gap across the middle of the area, and
+    shades each square around it by how many runs died there, the reddest
+    square being the most deaths. Deaths too far from the obstacle to fit are
+    counted at the edge.
+    */
+    drawHeatmap(area) {
+        const ctx = this.ctx;
+        const middle = { x: area.left + (area.width / 2), y: this.canvas.height / 2 };
+        const halfGap = (CONSTANTS.PIPE_GAP / 2) * STATS.HEATMAP_SCALE;
+        const pipeWidth = CONSTANTS.PIPE_WIDTH * STATS.HEATMAP_SCALE;
+        ctx.fillStyle = "green";
+        ctx.fillRect(middle.x - (pipeWidth / 2), 0, pipeWidth, middle.y - halfGap);
+        ctx.fillRect(middle.x - (pipeWidth / 2), middle.y + halfGap, pipeWidth, this.canvas.height - middle.y - halfGap);
+
+        const cell = STATS.HEATMAP_CELL;
+        const columns = Math.floor(area.width / cell);
+        const rows = Math.floor(this.canvas.height / cell);
+        const counts = {};
+        this.history.runs.forEach((run) => {
+            if (!run.relative) {
+                return;
+            }
+            const x = middle.x + (run.relative.x * STATS.HEATMAP_SCALE) - area.left;
+            const y = middle.y + (run.relative.y * halfGap);
+            const column = Math.min(Math.max(Math.floor(x / cell), 0), columns - 1);
+            const row = Math.min(Math.max(Math.floor(y / cell), 0), rows - 1);
+            const key = `${column},${row}`;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        const most = Math.max(0, ...Object.values(counts));
+        Object.keys(counts).forEach((key) => {
+            const [column, row] = key.split(",").map(Number);
+            ctx.fillStyle = `rgba(255, 0, 0, ${0.2 + (0.8 * (counts[key] / most))})`;
+            ctx.fillRect(area.left + (column * cell), row * cell, cell, cell);
+        });
+
+        ctx.fillStyle = "white";
+        ctx.font = "bold 12pt sans-serif";
+        ctx.fillText("Deaths", area.left + 10, 20);
+    }
+}
+
+// Seconds as minutes and seconds, e.g. 1:05
+function formatDuration(seconds) {
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
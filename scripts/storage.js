@@ -0,0 +1,51 @@
+/*
+Storage adapters that the game saves through, so that where things are kept
+can be swapped out without touching the code that saves them. An adapter is
+anything with #load(key), returning the saved value (or null), and
+#save(key, value). Values are plain objects and arrays.
+*/
+class LocalStorageAdapter {
+    // Defaults to the browser's localStorage, but anything with the same methods will do
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    /*
+    Returns the value saved under key, or null if there isn't one. A value that
+    can't be read back (e.g. edited by hand) is treated as missing.
+    */
+    load(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /*
+    Saves the value under key. Storage can be full or disabled (e.g. private
+    browsing), in which case the game carries on without saving.
+    */
+    save(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            // Nothing is saved, but the game still works
+        }
+    }
+}
+
+// Keeps everything in memory, e.g. for tests or when nothing should be saved
+class MemoryStorageAdapter {
+    constructor() {
+        this.values = {};
+    }
+
+    load(key) {
+        return key in this.values ? JSON.parse(this.values[key]) : null;
+    }
+
+    save(key, value) {
+        this.values[key] = JSON.stringify(value);
+    }
+}
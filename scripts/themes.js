@@ -0,0 +1,217 @@
+/*
+The themes the level can be drawn in. Each theme is a list of layers drawn
+back to front, and a skin for the pipes. Layers scroll at their own speed (in
+pixels per tick) so that the further back they are the slower they move, and
+each is one tile repeated across the level. The kinds of layer are:
+    sky   - a colour, or a gradient of colours from top to bottom, that doesn't move
+    stars - small dots scattered over the top of the level
+    hills - a row of rounded hills, height pixels tall, repeating every period pixels
+    image - one of the images in ASSET_MANIFEST, scaled to the level's height
+    snow  - flakes scattered over the whole level
+Layers can be tinted with a colour drawn over them, and layers marked front
+are drawn in front of the pipes and capy. The pipe skin is a tint over the
+pipe images, and the colour of the plain pipes drawn when they're missing.
+*/
+const THEMES = {
+    day: {
+        name: "Day",
+        layers: [
+            { type: "sky", colors: ["#87ceeb"] },
+            { type: "hills", color: "#a8d8b0", height: 200, period: 360, speed: 0.25 },
+            { type: "hills", color: "#86c77a", height: 120, period: 260, speed: 0.5 },
+            { type: "image", asset: "background", speed: CONSTANTS.BACKGROUND_SPEED }
+        ],
+        pipes: { tint: null, color: "green" }
+    },
+    dusk: {
+        name: "Dusk",
+        layers: [
+            { type: "sky", colors: ["#3b2456", "#e0785a", "#f8c36e"] },
+            { type: "hills", color: "#7a4a6e", height: 200, period: 360, speed: 0.25 },
+            { type: "hills", color: "#5b3a5a", height: 120, period: 260, speed: 0.5 },
+            { type: "image", asset: "background", speed: CONSTANTS.BACKGROUND_SPEED, tint: "rgba(255, 110, 60, 0.35)" }
+        ],
+        pipes: { tint: "rgba(255, 110, 60, 0.25)", color: "#5e7a2a" }
+    },
+    night: {
+        name: "Night",
+        layers: [
+            { type: "sky", colors: ["#050b26", "#1f2f63"] },
+            { type: "stars", count: 70, speed: 0.1 },
+            { type: "hills", color: "#1f2d45", height: 200, period: 360, speed: 0.25 },
+            { type: "hills", color: "#16223a", height: 120, period: 260, speed: 0.5 },
+            { type: "image", asset: "background", speed: CONSTANTS.BACKGROUND_SPEED, tint: "rgba(10, 20, 60, 0.6)" }
+        ],
+        pipes: { tint: "rgba(10, 20, 60, 0.45)", color: "#1d4a2a" }
+    },
+    winter: {
+        name: "Winter",
+        layers: [
+            { type: "sky", colors: ["#b9d3ea", "#e8f1f8"] },
+            { type: "hills", color: "#dde8f1", height: 200, period: 360, speed: 0.25 },
+            { type: "hills", color: "#f4f8fb", height: 120, period: 260, speed: 0.5 },
+            { type: "image", asset: "background", speed: CONSTANTS.BACKGROUND_SPEED, tint: "rgba(255, 255, 255, 0.55)" },
+            { type: "snow", count: 50, speed: 2, front: true }
+        ],
+        pipes: { tint: "rgba(220, 235, 255, 0.4)", color: "#4f7a5a" }
+    }
+};
+
+/*
+When the theme is left to change with the score, the run starts in the day
+and gets darker as the score climbs. In the winter months the day is winter.
+*/
+const THEME_SCHEDULE = [
+    { score: 0, theme: "day" },
+    { score: 20, theme: "dusk" },
+    { score: 40, theme: "night" }
+];
+const WINTER_MONTHS = [11, 0, 1];   // December to February, as Date#getMonth numbers
+
+// A hash of constants for drawing themes
+const THEME = {
+    SETTING_KEY: "flappy-capy-theme",  // Storage key holding the chosen theme, or "auto"
+    FADE_TICKS: 90                     // Ticks for one theme to fade into the next
+};
+
+// The theme for a score when the theme changes with the score (see THEME_SCHEDULE)
+function scheduledTheme(score, date = new Date()) {
+    let theme = THEME_SCHEDULE[0].theme;
+    THEME_SCHEDULE.forEach((step) => {
+        if (score >= step.score) {
+            theme = step.theme;
+        }
+    });
+    if (theme === "day" && WINTER_MONTHS.includes(date.getMonth())) {
+        return "winter";
+    }
+    return theme;
+}
+
+class ThemeArt {
+    /*
+    Constructor function for the cache of everything drawn for the themes: one
+    tile per layer and the tinted pipe images. Each is drawn onto its own canvas
+    the first time it's needed, so drawing a frame only ever copies them.
+    */
+    constructor(assets, dimensions) {
+        this.assets = assets;
+        this.dimensions = dimensions;
+        this.tiles = new Map();
+        this.pipeSkins = {};
+    }
+
+    // Returns the tile for a layer, or null if it's drawn from an image that's missing
+    layerTile(layer) {
+        if (!this.tiles.has(layer)) {
+            this.tiles.set(layer, this.makeTile(layer));
+        }
+        return this.tiles.get(layer);
+    }
+
+    makeTile(layer) {
+        const height = this.dimensions.height;
+        let width = this.dimensions.width;
+        let image;
+        if (layer.type === "image") {
+            image = this.assets.image(layer.asset);
+            if (!image) {
+                return null;
+            }
+            width = Math.round(image.width * (height / image.height));
+        } else if (layer.type === "hills") {
+            width = layer.period;
+        }
+
+        const tile = document.createElement("canvas");
+        tile.width = width;
+        tile.height = height;
+        const ctx = tile.getContext("2d");
+        switch (layer.type) {
+            case "image":
+                ctx.drawImage(image, 0, 0, width, height);
+                break;
+            case "hills":
+                this.drawHills(ctx, layer, width, height);
+                break;
+            case "stars":
+                this.drawDots(ctx, layer.count, width, height / 2, 1.5, "white");
+                break;
+            case "snow":
+                this.drawDots(ctx, layer.count, width, height, 2.5, "rgba(255, 255, 255, 0.8)");
+                break;
+        }
+        if (layer.tint) {
+            this.tint(ctx, layer.tint, width, height);
+        }
+        return tile;
+    }
+
+    // One hill per period, as a smooth wave along the bottom of the tile
+    drawHills(ctx, layer, width, height) {
+        ctx.fillStyle = layer.color;
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let x = 0; x <= width; x += 4) {
+            const rise = 0.5 - (0.5 * Math.cos((2 * Math.PI * x) / width));
+            ctx.lineTo(x, height - (layer.height * (0.6 + (0.4 * rise))));
+        }
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /*
+    Scatters dots over the tile. The dots come from a SeededRandom, so they're
+    in the same places every time.
+    */
+    drawDots(ctx, count, width, height, radius, color) {
+        const random = new SeededRandom(`${count}x${width}x${height}`);
+        ctx.fillStyle = color;
+        for (let i = 0; i < count; i++) {
+            ctx.beginPath();
+            ctx.arc(random.next() * width, random.next() * height, radius * (0.5 + random.next()), 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
+    // Colours over whatever has been drawn on the tile, without touching its transparent parts
+    tint(ctx, color, width, height) {
+        ctx.globalCompositeOperation = "source-atop";
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, height);
+        ctx.globalCompositeOperation = "source-over";
+    }
+
+    /*
+    Returns a pipe image in a theme's skin, or null if the image is missing.
+    The skin keeps the image's size and shape, so "mask" hitboxes still line up.
+    */
+    pipeImage(name, theme) {
+        const image = this.assets.image(name);
+        if (!image || !theme.pipes.tint) {
+            return image;
+        }
+        const key = `${name}:${theme.pipes.tint}`;
+        if (!this.pipeSkins[key]) {
+            this.pipeSkins[key] = tintedImage(image, theme.pipes.tint);
+        }
+        return this.pipeSkins[key];
+    }
+}
+
+/*
+Returns a copy of an image on a canvas of its own, with a colour drawn over it.
+Transparent pixels stay transparent, so the copy has the same shape.
+*/
+function tintedImage(image, color) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0);
+    ctx.globalCompositeOperation = "source-atop";
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, image.width, image.height);
+    return canvas;
+}
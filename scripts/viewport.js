@@ -0,0 +1,109 @@
+// A hash of constants for fitting the game to the screen
+const VIEWPORT = {
+    LETTERBOX_COLOR: "black",   // Colour of the bars either side of the game when the shapes don't match
+    ORIENTATION: "portrait"     // Orientation phones are locked to in fullscreen, matching the game's shape
+};
+
+class Viewport {
+    /*
+    Constructor function that fits the game's logical resolution (the size every
+    position in the game is measured in) to whatever size the canvas is shown at.
+    The canvas is drawn at the screen's full resolution (devicePixelRatio), and the
+    game is scaled up or down to fit it, keeping its shape, with bars either side
+    (letterboxing) where the shapes don't match.
+    */
+    constructor(canvas, logical = { width: CONSTANTS.WIDTH, height: CONSTANTS.HEIGHT }) {
+        this.canvas = canvas;
+        this.logical = logical;
+        this.scale = 1;
+        this.offset = { x: 0, y: 0 };   // Where the game's top left corner is on the canvas, in canvas pixels
+        this.resize();
+        this.registerEvents();
+    }
+
+    /*
+    Matches the canvas's resolution to the size it's shown at, then works out the
+    largest scale the whole game fits at, and centres it.
+    */
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(rect.width * ratio) || this.logical.width;
+        const height = Math.round(rect.height * ratio) || this.logical.height;
+        // Setting the size clears the canvas, so it's only done when it changes
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.scale = Math.min(width / this.logical.width, height / this.logical.height);
+        this.offset = {
+            x: (width - (this.logical.width * this.scale)) / 2,
+            y: (height - (this.logical.height * this.scale)) / 2
+        };
+    }
+
+    // Sets up the context so everything after is drawn in logical units
+    begin(ctx) {
+        ctx.setTransform(this.scale, 0, 0, this.scale, this.offset.x, this.offset.y);
+    }
+
+    // Covers anything drawn outside the game with the letterbox bars
+    end(ctx) {
+        const gameWidth = this.logical.width * this.scale;
+        const gameHeight = this.logical.height * this.scale;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = VIEWPORT.LETTERBOX_COLOR;
+        ctx.fillRect(0, 0, this.offset.x, this.canvas.height);
+        ctx.fillRect(this.offset.x + gameWidth, 0, this.canvas.width - this.offset.x - gameWidth, this.canvas.height);
+        ctx.fillRect(0, 0, this.canvas.width, this.offset.y);
+        ctx.fillRect(0, this.offset.y + gameHeight, this.canvas.width, this.canvas.height - this.offset.y - gameHeight);
+    }
+
+    // Converts a point on the page (e.g. a click) into the game's logical units
+    toLogical(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (clientY - rect.top) * (this.canvas.height / rect.height);
+        return {
+            x: (x - this.offset.x) / this.scale,
+            y: (y - this.offset.y) / this.scale
+        };
+    }
+
+    /*
+    Shows the game fullscreen, or goes back to the page. Phones are locked to
+    the game's orientation while fullscreen where the browser allows it, and
+    letterboxed otherwise.
+    */
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+            return;
+        }
+        if (!this.canvas.requestFullscreen) {
+            return;
+        }
+        this.canvas.requestFullscreen().then(() => {
+            if (screen.orientation && screen.orientation.lock) {
+                return screen.orientation.lock(VIEWPORT.ORIENTATION);
+            }
+        }).catch(() => {
+            // Fullscreen and orientation locking are both allowed to be refused
+        });
+    }
+
+    /*
+    The canvas changes size with the window, when a phone is turned around and
+    when going in and out of fullscreen. Where it's supported, a ResizeObserver
+    also catches the page's layout changing the canvas's size.
+    */
+    registerEvents() {
+        const resize = () => this.resize();
+        window.addEventListener("resize", resize);
+        window.addEventListener("orientationchange", resize);
+        document.addEventListener("fullscreenchange", resize);
+        if (window.ResizeObserver) {
+            new ResizeObserver(resize).observe(this.canvas);
+        }
+    }
+}
@@ -0,0 +1,213 @@
+/*
+Regression tests for the headless core. Runs are fully determined by their
+seed and flaps, so these pin down exact results: if one changes, either a bug
+crept in or REPLAY_VERSION needs bumping along with the fixture.
+*/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    CONSTANTS,
+    COURSE_VERSION,
+    Course,
+    Difficulty,
+    GameCore,
+    HeuristicPolicy,
+    Hitbox,
+    Level,
+    Replay,
+    ReplayPlayer,
+    SeededRandom,
+    evaluatePolicy,
+    searchCourse,
+    simulate
+} = require("../scripts/core.js");
+
+// Plays a run through a GameCore with a policy, as #simulate does, and returns the game
+function play(seed, options = {}) {
+    const game = new GameCore(seed, undefined, options);
+    const policy = new HeuristicPolicy();
+    game.start();
+    game.flap();
+    while (!game.over) {
+        if (game.tick > 0 && policy.decide(game)) {
+            game.flap();
+        }
+        game.step();
+    }
+    return game;
+}
+
+// Where every obstacle of a run was built, and its gaps
+function layout(game) {
+    return game.level.pipes.map((pipe) => ({ left: pipe.left, type: pipe.type, gaps: pipe.gaps }));
+}
+
+test("simulate gives the run from the README", () => {
+    assert.deepEqual(simulate({ seed: "abc", flaps: [0, 20, 40] }), {
+        seed: "abc",
+        score: 0,
+        ticks: 117,
+        deathTick: 117
+    });
+});
+
+test("the same seed builds the same course and run", () => {
+    const first = play("course");
+    const second = play("course");
+    assert.deepEqual(layout(second), layout(first));
+    assert.deepEqual(second.flaps, first.flaps);
+    assert.equal(second.score, first.score);
+    assert.notDeepEqual(layout(play("another course")), layout(first));
+});
+
+test("a replay plays back identically after being saved and read back", () => {
+    [{}, { mode: "hardcore" }, { gapBonus: 40 }].forEach((options) => {
+        const game = play("replay", options);
+        const replay = Replay.parse(JSON.stringify(Replay.fromGame(game)));
+        assert.deepEqual(replay, Replay.fromGame(game));
+
+        const player = new ReplayPlayer(replay);
+        while (!player.finished()) {
+            player.step();
+        }
+        assert.equal(player.game.score, game.score);
+        assert.equal(player.game.tick, game.tick);
+        assert.equal(player.game.deathTick, game.deathTick);
+        assert.deepEqual(player.game.flaps, game.flaps);
+    });
+});
+
+test("evaluatePolicy scores the heuristic the same every time", () => {
+    const result = evaluatePolicy(new HeuristicPolicy(), { seeds: ["a", "b", "c"] });
+    assert.deepEqual(result.runs.map((run) => [run.score, run.ticks]), [[60, 4555], [55, 4432], [20, 1915]]);
+    assert.deepEqual(result.scores, {
+        min: 20,
+        median: 55,
+        mean: 45,
+        max: 60,
+        histogram: { 20: 1, 50: 1, 60: 1 }
+    });
+});
+
+test("Course.parse rejects obstacles that would be built outside the level", () => {
+    const parse = (obstacle) => Course.parse({ version: COURSE_VERSION, obstacles: [obstacle] });
+    assert.throws(() => parse({ type: "moving", spacing: 100, gap: 300, phase: "x" }), /invalid phase/);
+    assert.throws(() => parse({ type: "moving", spacing: 100, gap: 300, phase: 1.5 }), /invalid phase/);
+    assert.throws(() => parse({ type: "pipe", spacing: 100, gap: 640 }), /outside the level/);
+    assert.throws(() => parse({ type: "moving", spacing: 100, gap: 100 }), /outside the level/);
+    assert.equal(parse({ type: "moving", spacing: 100, gap: 300, phase: 0.5 }).obstacles[0].phase, 0.5);
+});
+
+test("Replay.parse rejects replays that can't be played back as they were recorded", () => {
+    const json = Replay.fromGame(play("replay")).toJSON();
+    const parse = (changes) => Replay.parse(Object.assign({}, json, changes));
+    assert.throws(() => parse({ startAt: "abc" }), /part way through/);
+    assert.throws(() => parse({ startAt: 2 }), /part way through/);
+    assert.throws(() => parse({ hitboxes: { capy: "bogus", pipe: "shaped" } }), /hitbox types/);
+    assert.throws(() => parse({ hitboxes: { capy: "ellipse", pipe: "bogus" } }), /hitbox types/);
+    assert.deepEqual(parse({ hitboxes: { capy: "mask", pipe: "rect" } }).hitboxes, { capy: "mask", pipe: "rect" });
+});
+
+test("Hitbox.segmentsCross counts touching segments, but not ones along the same line that don't meet", () => {
+    const point = (x, y) => ({ x, y });
+    assert.equal(Hitbox.segmentsCross(point(0, 0), point(2, 2), point(0, 2), point(2, 0)), true);
+    assert.equal(Hitbox.segmentsCross(point(0, 0), point(1, 0), point(1, 0), point(1, 5)), true);
+    assert.equal(Hitbox.segmentsCross(point(0, 0), point(2, 0), point(1, 0), point(3, 0)), true);
+    assert.equal(Hitbox.segmentsCross(point(0, 0), point(1, 0), point(2, 0), point(3, 0)), false);
+    assert.equal(Hitbox.segmentsCross(point(0, 0), point(1, 0), point(2, -1), point(2, 1)), false);
+});
+
+test("Hitbox.overlaps counts shapes whose edges touch", () => {
+    const square = Hitbox.rect(0, 0, 10, 10);
+    assert.equal(Hitbox.overlaps(square, Hitbox.rect(10, 0, 20, 10)), true);
+    assert.equal(Hitbox.overlaps(square, Hitbox.rect(10.5, 0, 20, 10)), false);
+    assert.equal(Hitbox.overlaps(square, Hitbox.polygon([{ x: 10, y: 5 }, { x: 20, y: 0 }, { x: 20, y: 10 }])), true);
+    assert.equal(Hitbox.overlaps(square, Hitbox.ellipse(15, 5, 5, 3)), true);
+    assert.equal(Hitbox.overlaps(square, Hitbox.ellipse(15.5, 5, 5, 3)), false);
+});
+
+test("Hitbox.overlaps finds a polygon inside an ellipse, and an ellipse inside a polygon", () => {
+    const ellipse = Hitbox.ellipse(0, 0, 40, 20);
+    const triangle = Hitbox.polygon([{ x: 10, y: 2 }, { x: 20, y: 2 }, { x: 15, y: 8 }]);
+    assert.equal(Hitbox.overlaps(ellipse, triangle), true);
+    assert.equal(Hitbox.overlaps(triangle, ellipse), true);
+    assert.equal(Hitbox.overlaps(Hitbox.rect(-50, -30, 50, 30), ellipse), true);
+});
+
+test("Hitbox.overlaps only counts a rect corner that's inside the ellipse", () => {
+    const ellipse = Hitbox.ellipse(0, 0, 10, 5);
+    assert.equal(Hitbox.overlaps(ellipse, Hitbox.rect(8, 4, 20, 20)), false);
+    assert.equal(Hitbox.overlaps(ellipse, Hitbox.rect(6, 3, 20, 20)), true);
+    assert.equal(Hitbox.overlaps(ellipse, Hitbox.rect(-20, -20, -8, -4)), false);
+});
+
+test("Hitbox.overlaps checks a mask's solid pixels against a rect", () => {
+    // A 4 x 4 mask with only its bottom right pixel solid
+    const data = new Array(16).fill(0);
+    data[15] = 1;
+    const mask = Hitbox.mask(0, 0, 4, 4, data);
+    assert.equal(Hitbox.overlaps(mask, Hitbox.rect(0, 0, 2, 2)), false);
+    assert.equal(Hitbox.overlaps(mask, Hitbox.rect(2, 2, 3.4, 3.4)), false);
+    assert.equal(Hitbox.overlaps(mask, Hitbox.rect(3, 3, 5, 5)), true);
+    assert.equal(Hitbox.overlaps(Hitbox.rect(3.5, 3.5, 5, 5), mask), true);
+});
+
+test("Difficulty#at interpolates between keyframes, and holds the values past either end", () => {
+    const difficulty = new Difficulty([{ score: 10, speed: 4, gap: 100 }, { score: 0, speed: 2, gap: 150 }]);
+    assert.deepEqual(difficulty.at(5), { score: 5, speed: 3, gap: 125 });
+    assert.deepEqual(difficulty.at(2.5), { score: 2.5, speed: 2.5, gap: 137.5 });
+    assert.deepEqual(difficulty.at(-3), { score: 0, speed: 2, gap: 150 });
+    assert.deepEqual(difficulty.at(40), { score: 10, speed: 4, gap: 100 });
+    difficulty.at(40).speed = 99;
+    assert.equal(difficulty.at(40).speed, 4);
+    assert.throws(() => new Difficulty([]), /at least one keyframe/);
+});
+
+test("random gaps stay within the gap jump of the one before, and inside the edge buffer", () => {
+    const dimensions = { width: CONSTANTS.WIDTH, height: CONSTANTS.HEIGHT };
+    for (let seed = 0; seed < 200; seed++) {
+        const level = new Level(dimensions, new SeededRandom(`jump ${seed}`));
+        let previous = null;
+        for (let i = 0; i < 150; i++) {
+            const pipe = level.randomPipe(previous ? previous.left : 0, previous);
+            const settings = level.settingsAt(pipe.index);
+            const reach = (settings.pipeGap / 2) + pipe.amplitude;
+            assert.ok(pipe.middle - reach >= settings.edgeBuffer - 1e-9, `seed ${seed}, pipe ${i} is too high`);
+            assert.ok(pipe.middle + reach <= dimensions.height - settings.edgeBuffer + 1e-9,
+                `seed ${seed}, pipe ${i} is too low`);
+            if (previous) {
+                const maxGapJump = Math.max(settings.maxGapJump - pipe.amplitude - previous.amplitude, 0);
+                assert.ok(Math.abs(pipe.middle - previous.middle) <= maxGapJump + 1e-9,
+                    `seed ${seed}, pipe ${i} jumps too far`);
+            }
+            previous = pipe;
+        }
+    }
+});
+
+test("searchCourse finds flaps that clear a seed, which simulate plays back the same", () => {
+    const result = searchCourse({ seed: "abc", obstacles: 10 });
+    assert.equal(result.cleared, true);
+    assert.equal(result.obstacles, 10);
+    assert.equal(result.blockedAt, null);
+    const run = simulate({ seed: "abc", flaps: result.flaps, pickups: false });
+    assert.ok(run.score >= 10, `the flaps only scored ${run.score}`);
+    assert.throws(() => searchCourse({ seed: "abc", mode: "zen" }), /can't crash/);
+});
+
+test("searchCourse reports the first obstacle of a course that can't be got past", () => {
+    const course = (spacing) => new Course({
+        obstacles: [
+            { type: "pipe", spacing: 300, gap: 300, gapSize: 120 },
+            { type: "pipe", spacing: 250, gap: 100, gapSize: 120 },
+            { type: "pipe", spacing, gap: 560, gapSize: 120 }
+        ]
+    });
+    const blocked = searchCourse({ course: course(150) });
+    assert.equal(blocked.cleared, false);
+    assert.equal(blocked.obstacles, 2);
+    assert.equal(blocked.blockedAt, 2);
+    const cleared = searchCourse({ course: course(200) });
+    assert.equal(cleared.cleared, true);
+    assert.equal(simulate({ course: course(200), flaps: cleared.flaps, pickups: false }).deathTick, null);
+});